@@ -0,0 +1,656 @@
+// auth.js - Authentification admin côté serveur (scrypt, sessions, verrouillage)
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const totp = require("./totp");
+
+// Mêmes valeurs que l'ancienne configuration de admin-auth.html
+const SECURITY_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  LOCKOUT_TIME: 5 * 60 * 1000, // 5 minutes
+  SESSION_DURATION: 2 * 60 * 60 * 1000, // 2 heures
+  CHALLENGE_DURATION: 5 * 60 * 1000, // 5 minutes pour saisir le code TOTP
+  RECOVERY_CODES: 10,
+};
+
+// Permissions accordées à chaque rôle
+const ROLES = {
+  owner: [
+    "registrations:read",
+    "registrations:write",
+    "registrations:delete",
+    "payments:write",
+    "checkin",
+    "export",
+    "data:manage",
+    "users:manage",
+    "event:manage",
+    "promo:manage",
+  ],
+  cashier: ["registrations:read", "payments:write", "export"],
+  door: ["registrations:read", "checkin"],
+};
+const DEFAULT_ROLE = "owner";
+
+const SESSION_COOKIE = "bielleterie_session";
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+class AuthError extends Error {
+  constructor(message, status = 401, details = {}) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class AdminAuth {
+  constructor(configPath) {
+    this.configPath = configPath;
+    this.config = null;
+    this.sessions = new Map();
+    this.attempts = new Map();
+    this.challenges = new Map();
+  }
+
+  // ==================== CONFIGURATION ====================
+  loadConfig() {
+    if (this.config) return this.config;
+
+    try {
+      this.config = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.config = {};
+    }
+
+    this.config.users = this.config.users || [];
+    // Comptes créés avant l'introduction des rôles : propriétaires
+    this.config.users.forEach((user) => {
+      user.role = user.role || DEFAULT_ROLE;
+      user.disabled = !!user.disabled;
+    });
+    this.config.settings = { requireTotp: false, ...this.config.settings };
+    if (this.config.users.length === 0) {
+      console.warn(
+        "⚠️ Aucun compte admin. Créez-en un : node auth.js set-password <utilisateur> <mot de passe>"
+      );
+    }
+    return this.config;
+  }
+
+  saveConfig() {
+    const tmpPath = `${this.configPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.config, null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tmpPath, this.configPath);
+  }
+
+  findUser(username) {
+    const name = String(username || "").toLowerCase();
+    return (
+      this.loadConfig().users.find(
+        (user) => user.username.toLowerCase() === name
+      ) || null
+    );
+  }
+
+  // ==================== COMPTES ====================
+  listUsers() {
+    return this.loadConfig().users.map((user) => this.toPublicUser(user));
+  }
+
+  createUser(username, password, role = DEFAULT_ROLE) {
+    const name = String(username || "").trim();
+    if (!/^[\w.@-]{3,50}$/.test(name)) {
+      throw new AuthError("Nom d'utilisateur invalide", 400);
+    }
+    if (this.findUser(name)) {
+      throw new AuthError("Ce nom d'utilisateur existe déjà", 409);
+    }
+    this.assertRole(role);
+    this.assertPassword(password);
+
+    const user = {
+      username: name,
+      role,
+      disabled: false,
+      ...this.hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+    this.config.users.push(user);
+    this.saveConfig();
+
+    console.log("👤 Compte créé:", name, `(${role})`);
+    return this.toPublicUser(user);
+  }
+
+  updateUser(username, changes = {}) {
+    const user = this.findUser(username);
+    if (!user) throw new AuthError("Compte non trouvé", 404);
+
+    const role = changes.role !== undefined ? changes.role : user.role;
+    const disabled =
+      changes.disabled !== undefined ? !!changes.disabled : user.disabled;
+    this.assertRole(role);
+
+    // Toujours garder au moins un propriétaire actif
+    const activeOwners = this.config.users.filter(
+      (u) => u.role === "owner" && !u.disabled
+    );
+    if (
+      user.role === "owner" &&
+      !user.disabled &&
+      (role !== "owner" || disabled) &&
+      activeOwners.length <= 1
+    ) {
+      throw new AuthError("Au moins un propriétaire actif est requis", 409);
+    }
+
+    user.role = role;
+    user.disabled = disabled;
+    user.updatedAt = new Date().toISOString();
+    this.saveConfig();
+
+    // Les sessions ouvertes prennent le nouveau rôle ; un compte désactivé est déconnecté
+    if (disabled) {
+      this.revokeSessions(user.username);
+    } else {
+      this.sessions.forEach((session) => {
+        if (session.username === user.username) session.role = role;
+      });
+    }
+
+    console.log("👤 Compte modifié:", user.username, `(${role})`);
+    return this.toPublicUser(user);
+  }
+
+  setPassword(username, password) {
+    this.assertPassword(password);
+
+    const user = this.findUser(username);
+    if (!user) throw new AuthError("Compte non trouvé", 404);
+
+    Object.assign(user, this.hashPassword(password), {
+      updatedAt: new Date().toISOString(),
+    });
+    this.saveConfig();
+    this.revokeSessions(user.username);
+  }
+
+  assertRole(role) {
+    if (!ROLES[role]) throw new AuthError("Rôle invalide", 400);
+  }
+
+  assertPassword(password) {
+    if (typeof password !== "string" || password.length < 8) {
+      throw new AuthError(
+        "Mot de passe trop court (8 caractères minimum)",
+        400
+      );
+    }
+  }
+
+  hasPermission(session, permission) {
+    return (
+      !!session &&
+      !session.mustEnrollTotp &&
+      (ROLES[session.role] || []).includes(permission)
+    );
+  }
+
+  toPublicUser(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      disabled: user.disabled,
+      totpEnabled: this.isTotpEnabled(user),
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt || null,
+    };
+  }
+
+  // ==================== MOTS DE PASSE ====================
+  hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+    const { N, r, p, keylen } = SCRYPT_PARAMS;
+    const hash = crypto
+      .scryptSync(password, salt, keylen, { N, r, p })
+      .toString("hex");
+
+    return { algorithm: "scrypt", params: { N, r, p }, salt, hash };
+  }
+
+  verifyPassword(password, user) {
+    // Compte inconnu : on calcule quand même un hash pour ne pas révéler son absence
+    const salt = user ? user.salt : "0".repeat(32);
+    const { hash } = this.hashPassword(password, salt);
+    const expected = Buffer.from(user ? user.hash : hash, "hex");
+    const actual = Buffer.from(hash, "hex");
+
+    return (
+      !!user &&
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  // ==================== CONNEXION ET VERROUILLAGE ====================
+  // Renvoie { session } ou, si le compte a la double authentification,
+  // { totpRequired, challenge } à compléter via verifyTotpChallenge()
+  login(username, password, ip) {
+    const key = this.attemptKey(ip, username);
+    const attempt = this.checkLock(key);
+
+    const found = this.findUser(username);
+    const user = found && !found.disabled ? found : null;
+    if (!this.verifyPassword(String(password || ""), user)) {
+      this.registerFailure(key, attempt, ip);
+    }
+
+    if (this.isTotpEnabled(user)) {
+      const challenge = {
+        id: crypto.randomBytes(32).toString("base64url"),
+        username: user.username,
+        key,
+        expiresAt: Date.now() + SECURITY_CONFIG.CHALLENGE_DURATION,
+      };
+      this.challenges.set(challenge.id, challenge);
+      return { totpRequired: true, challenge: challenge.id };
+    }
+
+    this.attempts.delete(key);
+    console.log("✅ Connexion admin:", user.username, "depuis", ip);
+    return { session: this.createSession(user) };
+  }
+
+  // Second facteur : code TOTP ou code de secours à usage unique
+  verifyTotpChallenge(challengeId, code, ip) {
+    const challenge = challengeId && this.challenges.get(challengeId);
+    if (!challenge || Date.now() >= challenge.expiresAt) {
+      this.challenges.delete(challengeId);
+      throw new AuthError("Vérification expirée, reconnectez-vous", 401, {
+        expired: true,
+      });
+    }
+
+    const attempt = this.checkLock(challenge.key);
+    const user = this.findUser(challenge.username);
+    if (!user || user.disabled || !this.consumeSecondFactor(user, code)) {
+      try {
+        this.registerFailure(challenge.key, attempt, ip, "Code invalide");
+      } catch (error) {
+        if (error.status === 423) this.challenges.delete(challengeId);
+        throw error;
+      }
+    }
+
+    this.challenges.delete(challengeId);
+    this.attempts.delete(challenge.key);
+    console.log("✅ Connexion admin (2FA):", user.username, "depuis", ip);
+    return this.createSession(user);
+  }
+
+  attemptKey(ip, username) {
+    return `${ip}|${String(username || "").toLowerCase()}`;
+  }
+
+  checkLock(key) {
+    const attempt = this.attempts.get(key) || { failed: 0, lockUntil: null };
+
+    if (attempt.lockUntil && Date.now() < attempt.lockUntil) {
+      throw new AuthError("Compte temporairement verrouillé", 423, {
+        lockUntil: attempt.lockUntil,
+      });
+    }
+    if (attempt.lockUntil) {
+      // Verrouillage expiré : on repart de zéro
+      attempt.failed = 0;
+      attempt.lockUntil = null;
+    }
+    return attempt;
+  }
+
+  // Compte l'échec et lève toujours une AuthError (401, ou 423 au-delà du seuil)
+  registerFailure(key, attempt, ip, message = "Identifiants incorrects") {
+    attempt.failed++;
+    this.attempts.set(key, attempt);
+    console.warn(
+      `⚠️ Échec de connexion admin (${attempt.failed}/${SECURITY_CONFIG.MAX_ATTEMPTS}) depuis ${ip}`
+    );
+
+    if (attempt.failed >= SECURITY_CONFIG.MAX_ATTEMPTS) {
+      attempt.lockUntil = Date.now() + SECURITY_CONFIG.LOCKOUT_TIME;
+      throw new AuthError("Compte temporairement verrouillé", 423, {
+        lockUntil: attempt.lockUntil,
+      });
+    }
+
+    throw new AuthError(message, 401, {
+      failedAttempts: attempt.failed,
+      maxAttempts: SECURITY_CONFIG.MAX_ATTEMPTS,
+    });
+  }
+
+  // ==================== DOUBLE AUTHENTIFICATION (TOTP) ====================
+  isTotpEnabled(user) {
+    return !!(user && user.totp && user.totp.enabled);
+  }
+
+  // Étape 1 : secret provisoire, activé seulement après un premier code valide
+  beginTotpSetup(username) {
+    const user = this.findUser(username);
+    if (!user) throw new AuthError("Compte non trouvé", 404);
+    if (this.isTotpEnabled(user)) {
+      throw new AuthError("Double authentification déjà active", 409);
+    }
+
+    const secret = totp.generateSecret();
+    user.totp = { enabled: false, secret, createdAt: new Date().toISOString() };
+    this.saveConfig();
+
+    return { secret, otpauthUrl: totp.otpauthUrl(secret, user.username) };
+  }
+
+  // Étape 2 : confirme le secret et renvoie les codes de secours (affichés une seule fois)
+  enableTotp(username, code) {
+    const user = this.findUser(username);
+    if (!user || !user.totp || !user.totp.secret) {
+      throw new AuthError("Aucune configuration en cours", 400);
+    }
+    if (this.isTotpEnabled(user)) {
+      throw new AuthError("Double authentification déjà active", 409);
+    }
+
+    const counter = totp.verifyCode(user.totp.secret, code);
+    if (counter === null) throw new AuthError("Code invalide", 400);
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.totp = {
+      ...user.totp,
+      enabled: true,
+      enabledAt: new Date().toISOString(),
+      lastCounter: counter,
+      recoveryCodes: recoveryCodes.map((recovery) =>
+        this.hashRecovery(recovery)
+      ),
+    };
+    this.saveConfig();
+
+    this.sessions.forEach((session) => {
+      if (session.username === user.username) session.mustEnrollTotp = false;
+    });
+
+    console.log("🔐 Double authentification activée:", user.username);
+    return recoveryCodes;
+  }
+
+  disableTotp(username, code) {
+    const user = this.findUser(username);
+    if (!this.isTotpEnabled(user)) {
+      throw new AuthError("Double authentification inactive", 400);
+    }
+    if (this.config.settings.requireTotp) {
+      throw new AuthError("La double authentification est obligatoire", 409);
+    }
+    if (!this.consumeSecondFactor(user, code)) {
+      throw new AuthError("Code invalide", 400);
+    }
+
+    delete user.totp;
+    this.saveConfig();
+    console.log("🔓 Double authentification désactivée:", user.username);
+  }
+
+  // Téléphone perdu : un propriétaire efface le second facteur d'un compte
+  resetTotp(username) {
+    const user = this.findUser(username);
+    if (!user) throw new AuthError("Compte non trouvé", 404);
+
+    delete user.totp;
+    user.updatedAt = new Date().toISOString();
+    this.saveConfig();
+    this.revokeSessions(user.username);
+    console.log("🔓 Double authentification réinitialisée:", user.username);
+  }
+
+  // Code TOTP (non rejoué) ou code de secours, consommé en cas de succès
+  consumeSecondFactor(user, code) {
+    if (!this.isTotpEnabled(user)) return false;
+    const value = String(code || "").trim();
+
+    const counter = totp.verifyCode(user.totp.secret, value, {
+      afterCounter: user.totp.lastCounter,
+    });
+    if (counter !== null) {
+      user.totp.lastCounter = counter;
+      this.saveConfig();
+      return true;
+    }
+
+    const hash = this.hashRecovery(value);
+    const index = (user.totp.recoveryCodes || []).indexOf(hash);
+    if (index !== -1) {
+      user.totp.recoveryCodes.splice(index, 1);
+      this.saveConfig();
+      console.warn(
+        `⚠️ Code de secours utilisé par ${user.username} (${user.totp.recoveryCodes.length} restants)`
+      );
+      return true;
+    }
+    return false;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: SECURITY_CONFIG.RECOVERY_CODES }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  hashRecovery(code) {
+    return crypto
+      .createHash("sha256")
+      .update(String(code).toLowerCase().replace(/\s/g, ""))
+      .digest("hex");
+  }
+
+  getSettings() {
+    return { ...this.loadConfig().settings };
+  }
+
+  updateSettings(changes = {}, actingUsername) {
+    // Évite qu'un propriétaire se bloque lui-même hors de l'administration
+    if (
+      changes.requireTotp &&
+      !this.isTotpEnabled(this.findUser(actingUsername))
+    ) {
+      throw new AuthError(
+        "Activez d'abord la double authentification sur votre compte",
+        409
+      );
+    }
+    if (changes.requireTotp !== undefined) {
+      this.config.settings.requireTotp = !!changes.requireTotp;
+    }
+    this.saveConfig();
+
+    // Les sessions ouvertes sans second facteur doivent s'enrôler
+    this.sessions.forEach((session) => {
+      session.mustEnrollTotp = this.mustEnrollTotp(
+        this.findUser(session.username)
+      );
+    });
+    return this.getSettings();
+  }
+
+  mustEnrollTotp(user) {
+    return !!this.config.settings.requireTotp && !this.isTotpEnabled(user);
+  }
+
+  // ==================== SESSIONS ====================
+  createSession(user) {
+    const now = Date.now();
+    this.pruneExpired(now);
+
+    const session = {
+      id: crypto.randomBytes(32).toString("base64url"),
+      username: user.username,
+      role: user.role,
+      mustEnrollTotp: this.mustEnrollTotp(user),
+      createdAt: now,
+      expiresAt: now + SECURITY_CONFIG.SESSION_DURATION,
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  getSession(sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (Date.now() >= session.expiresAt) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  pruneExpired(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (now >= session.expiresAt) this.sessions.delete(id);
+    }
+    for (const [id, challenge] of this.challenges) {
+      if (now >= challenge.expiresAt) this.challenges.delete(id);
+    }
+    for (const [key, attempt] of this.attempts) {
+      if (attempt.lockUntil && now >= attempt.lockUntil)
+        this.attempts.delete(key);
+    }
+  }
+
+  logout(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  revokeSessions(username) {
+    for (const [id, session] of this.sessions) {
+      if (session.username.toLowerCase() === username.toLowerCase()) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  toPublicSession(session) {
+    return {
+      username: session.username,
+      role: session.role,
+      permissions: session.mustEnrollTotp ? [] : ROLES[session.role] || [],
+      totpEnabled: this.isTotpEnabled(this.findUser(session.username)),
+      mustEnrollTotp: !!session.mustEnrollTotp,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+    };
+  }
+
+  // ==================== COOKIES ET MIDDLEWARE ====================
+  readSessionId(req) {
+    const header = req.headers.cookie || "";
+    const cookie = header
+      .split(";")
+      .map((part) => part.trim())
+      .find((part) => part.startsWith(`${SESSION_COOKIE}=`));
+
+    return cookie ? decodeURIComponent(cookie.split("=")[1]) : null;
+  }
+
+  setSessionCookie(res, session) {
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: SECURITY_CONFIG.SESSION_DURATION,
+      path: "/",
+    });
+  }
+
+  clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+  }
+
+  // Renseigne req.adminSession si une session valide est présentée
+  attachSession() {
+    return (req, res, next) => {
+      req.adminSession = this.getSession(this.readSessionId(req));
+      next();
+    };
+  }
+
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!req.adminSession) {
+        return res
+          .status(401)
+          .json({ success: false, error: "Authentification requise" });
+      }
+      next();
+    };
+  }
+
+  requirePermission(permission) {
+    return (req, res, next) => {
+      if (!req.adminSession) {
+        return res
+          .status(401)
+          .json({ success: false, error: "Authentification requise" });
+      }
+      if (req.adminSession.mustEnrollTotp) {
+        return res.status(403).json({
+          success: false,
+          error: "Activez la double authentification pour continuer",
+          code: "totp_enrollment_required",
+        });
+      }
+      if (!this.hasPermission(req.adminSession, permission)) {
+        return res
+          .status(403)
+          .json({ success: false, error: "Action non autorisée pour ce rôle" });
+      }
+      next();
+    };
+  }
+}
+
+// ==================== LIGNE DE COMMANDE ====================
+// node auth.js set-password <utilisateur> <mot de passe> [owner|cashier|door]
+if (require.main === module) {
+  const [command, username, password, role] = process.argv.slice(2);
+  const auth = new AdminAuth(
+    process.env.BIELLETERIE_ADMIN_CONFIG ||
+      path.join(__dirname, "admin-config.json")
+  );
+
+  if (command !== "set-password" || !username || !password) {
+    console.log(
+      "Usage: node auth.js set-password <utilisateur> <mot de passe> [owner|cashier|door]"
+    );
+    process.exit(1);
+  }
+
+  try {
+    auth.loadConfig();
+    if (auth.findUser(username)) {
+      auth.setPassword(username, password);
+      if (role) auth.updateUser(username, { role });
+    } else {
+      auth.createUser(username, password, role || DEFAULT_ROLE);
+    }
+    console.log(`✅ Mot de passe enregistré pour ${username}`);
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { AdminAuth, AuthError, SECURITY_CONFIG, ROLES };
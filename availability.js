@@ -0,0 +1,77 @@
+// availability.js - Bascule automatique « Achat » / « SOLD-OUT » selon les places restantes
+// de l'événement affiché (event-info.js, paramètre ?event=).
+// Marquage attendu dans la page :
+//   data-availability="on-sale"  : affiché tant qu'il reste des places
+//   data-availability="sold-out" : affiché quand l'événement est complet
+//   data-ticket-type="couple"    : lien d'achat désactivé quand ce type est complet
+//                                  (liens recréés par event-info.js : réappliqué)
+class TicketAvailability {
+  constructor() {
+    this.refreshDelay = 60000;
+    this.timer = null;
+    this.availability = null;
+  }
+
+  start() {
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.refreshDelay);
+
+    // Retour sur l'onglet : l'état a pu changer entre-temps
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden) this.refresh();
+    });
+  }
+
+  async refresh() {
+    try {
+      this.availability = await billetAPI.getAvailability(eventInfo.eventId);
+      this.apply(this.availability);
+    } catch (error) {
+      // Serveur injoignable : la page reste en vente, l'inscription tranchera (409)
+      console.warn("⚠️ Disponibilités indisponibles:", error.message);
+    }
+    return this.availability;
+  }
+
+  apply(availability) {
+    document.querySelectorAll("[data-availability]").forEach((element) => {
+      const showWhenSoldOut = element.dataset.availability === "sold-out";
+      element.hidden = showWhenSoldOut !== availability.soldOut;
+    });
+
+    document.querySelectorAll("[data-ticket-type]").forEach((link) => {
+      const type = availability.types[link.dataset.ticketType];
+      this.setLinkSoldOut(link, !!(type && type.soldOut));
+    });
+  }
+
+  setLinkSoldOut(link, soldOut) {
+    if (!link.dataset.href) {
+      link.dataset.href = link.getAttribute("href");
+      link.dataset.label = link.textContent;
+    }
+
+    link.classList.toggle("sold-out", soldOut);
+    link.setAttribute("aria-disabled", soldOut ? "true" : "false");
+    if (soldOut) {
+      link.removeAttribute("href");
+      link.textContent = `${link.dataset.label.trim()} - SOLD-OUT`;
+    } else {
+      link.setAttribute("href", link.dataset.href);
+      link.textContent = link.dataset.label;
+    }
+  }
+}
+
+// Instance globale
+const ticketAvailability = new TicketAvailability();
+
+document.addEventListener("DOMContentLoaded", () => ticketAvailability.start());
+document.addEventListener("eventinfo:applied", () => {
+  if (ticketAvailability.availability) {
+    ticketAvailability.apply(ticketAvailability.availability);
+  }
+});
+
+window.TicketAvailability = TicketAvailability;
+window.ticketAvailability = ticketAvailability;
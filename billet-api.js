@@ -0,0 +1,529 @@
+// billet-api.js - Client HTTP vers le serveur Bielleterie (server.js)
+class BilletAPI {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl || this.resolveBaseUrl();
+  }
+
+  resolveBaseUrl() {
+    // Priorité : configuration explicite, puis localStorage, puis même hôte port 3000
+    if (window.BIELLETERIE_API_URL) return window.BIELLETERIE_API_URL;
+
+    const stored = localStorage.getItem("bielleterie_api_url");
+    if (stored) return stored;
+
+    if (window.location.protocol.startsWith("http")) {
+      return `${window.location.protocol}//${window.location.hostname}:3000`;
+    }
+    return "http://localhost:3000";
+  }
+
+  async request(method, path, body) {
+    const options = {
+      method,
+      headers: {},
+      credentials: "include",
+    };
+
+    if (body !== undefined) {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(this.baseUrl + path, options);
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Réponse sans corps JSON
+    }
+
+    if (!response.ok || (data && data.success === false)) {
+      const error = new Error(
+        (data && data.error) || `Erreur HTTP ${response.status}`
+      );
+      error.status = response.status;
+      error.code = data && data.code;
+      error.data = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  // ==================== AUTHENTIFICATION ADMIN ====================
+  // Renvoie { session } ou { totpRequired, challenge } si un second facteur est attendu
+  async login(username, password) {
+    return this.request("POST", "/api/auth/login", {
+      username,
+      password,
+    });
+  }
+
+  async verifyTotp(challenge, code) {
+    const data = await this.request("POST", "/api/auth/totp/verify", {
+      challenge,
+      code,
+    });
+    return data.session;
+  }
+
+  // { secret, otpauthUrl, qrCode } ; qrCode est une data URL (ou null)
+  async setupTotp() {
+    return this.request("POST", "/api/auth/totp/setup");
+  }
+
+  // { recoveryCodes, session }
+  async enableTotp(code) {
+    return this.request("POST", "/api/auth/totp/enable", { code });
+  }
+
+  async disableTotp(code) {
+    await this.request("POST", "/api/auth/totp/disable", { code });
+    return true;
+  }
+
+  async logout() {
+    await this.request("POST", "/api/auth/logout");
+    return true;
+  }
+
+  // Renvoie null si aucune session valide (401)
+  async getSession() {
+    try {
+      const data = await this.request("GET", "/api/auth/session");
+      return data.session;
+    } catch (error) {
+      if (error.status === 401) return null;
+      throw error;
+    }
+  }
+
+  // ==================== COMPTES (propriétaires) ====================
+  async listUsers() {
+    const data = await this.request("GET", "/api/admin/users");
+    return data.users;
+  }
+
+  async createUser(username, password, role) {
+    const data = await this.request("POST", "/api/admin/users", {
+      username,
+      password,
+      role,
+    });
+    return data.user;
+  }
+
+  async updateUser(username, changes) {
+    const data = await this.request(
+      "PATCH",
+      `/api/admin/users/${encodeURIComponent(username)}`,
+      changes
+    );
+    return data.user;
+  }
+
+  async resetUserTotp(username) {
+    await this.request(
+      "DELETE",
+      `/api/admin/users/${encodeURIComponent(username)}/totp`
+    );
+    return true;
+  }
+
+  async getSettings() {
+    const data = await this.request("GET", "/api/admin/settings");
+    return data.settings;
+  }
+
+  async updateSettings(changes) {
+    const data = await this.request("PUT", "/api/admin/settings", changes);
+    return data.settings;
+  }
+
+  async resetUserPassword(username, password) {
+    await this.request(
+      "POST",
+      `/api/admin/users/${encodeURIComponent(username)}/password`,
+      { password }
+    );
+    return true;
+  }
+
+  // ==================== INSCRIPTIONS ====================
+  async createRegistration(client) {
+    const data = await this.request("POST", "/api/registrations", client);
+    return data.client;
+  }
+
+  async listRegistrations(filters = {}) {
+    const query = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value)
+    ).toString();
+    const data = await this.request(
+      "GET",
+      "/api/registrations" + (query ? `?${query}` : "")
+    );
+    return data.clients;
+  }
+
+  async getRegistration(id) {
+    const data = await this.request(
+      "GET",
+      `/api/registrations/${encodeURIComponent(id)}`
+    );
+    return data.client;
+  }
+
+  async updateRegistration(id, changes) {
+    const data = await this.request(
+      "PATCH",
+      `/api/registrations/${encodeURIComponent(id)}`,
+      changes
+    );
+    return data.client;
+  }
+
+  // Page d'achat : status "awaiting_verification" | "cancelled" | "failed".
+  // Renvoie { client, ticket } ; ticket = { token, qrCode } une fois le
+  // paiement confirmé par un administrateur, sinon null
+  async reportPayment(id, status, method) {
+    return this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/payment`,
+      { status, method }
+    );
+  }
+
+  // Page d'achat : { proof: data URL (image ou PDF), transferredAt, senderName, method }
+  async submitPaymentProof(id, declaration) {
+    const data = await this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/payment/proof`,
+      declaration
+    );
+    return data.client;
+  }
+
+  // Page d'achat : { online, mobileMoney: [opérateurs] } proposés par le serveur
+  async getPaymentMethods() {
+    return this.request("GET", "/api/payment-methods");
+  }
+
+  // Page d'achat : { client, ticket } ; ticket non null une fois payé
+  async getPaymentStatus(id) {
+    return this.request(
+      "GET",
+      `/api/registrations/${encodeURIComponent(id)}/payment`
+    );
+  }
+
+  // Page d'achat : URL de la page de paiement du prestataire
+  async startCheckout(id, returnUrl) {
+    const data = await this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/checkout`,
+      { returnUrl }
+    );
+    return data.checkoutUrl;
+  }
+
+  // Page d'achat : demande de paiement envoyée au portefeuille mobile
+  async requestMobileMoney(id, operator, wallet) {
+    const data = await this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/mobile-money`,
+      { operator, wallet }
+    );
+    return data.client;
+  }
+
+  // Page d'achat : reprise d'une réservation expirée (lien de l'email)
+  async resumeRegistration(id) {
+    const data = await this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/resume`
+    );
+    return data.client;
+  }
+
+  // Administration : prolonge la réservation de minutes (reprend une expirée)
+  async extendHold(id, minutes) {
+    const data = await this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/hold`,
+      { minutes }
+    );
+    return data.client;
+  }
+
+  // Administration : [{ client, payment }] des paiements à vérifier
+  async listPaymentReviews(eventId) {
+    const query = eventId ? `?event=${encodeURIComponent(eventId)}` : "";
+    const data = await this.request("GET", `/api/payments/review${query}`);
+    return data.reviews;
+  }
+
+  // Fichier du justificatif (Blob), à afficher via URL.createObjectURL
+  async getPaymentProof(paymentId) {
+    const response = await fetch(
+      `${this.baseUrl}/api/payments/${encodeURIComponent(paymentId)}/proof`,
+      { credentials: "include" }
+    );
+    if (!response.ok) {
+      const error = new Error(`Erreur HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.blob();
+  }
+
+  // Administration : confirme (approved) ou rejette un paiement à vérifier
+  async verifyPayment(id, approved) {
+    const data = await this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/payment/${
+        approved ? "confirm" : "reject"
+      }`
+    );
+    return data.client;
+  }
+
+  // checkins : [{ clientId, checkedInAt }] ; un résultat par entrée
+  // { clientId, ok, duplicate, checkedInAt, checkedInBy } ou { ok: false, error, code }
+  async checkInBatch(checkins) {
+    const data = await this.request("POST", "/api/checkins", { checkins });
+    return data.results;
+  }
+
+  // Clé HMAC de vérification des billets hors ligne (rôle door)
+  async getTicketKey() {
+    return this.request("GET", "/api/checkin/key");
+  }
+
+  // Renvoie { client, duplicate } : duplicate si l'invité était déjà entré
+  async checkIn(id) {
+    return this.request(
+      "POST",
+      `/api/registrations/${encodeURIComponent(id)}/checkin`
+    );
+  }
+
+  async deleteRegistration(id) {
+    await this.request(
+      "DELETE",
+      `/api/registrations/${encodeURIComponent(id)}`
+    );
+    return true;
+  }
+
+  // ==================== ÉVÉNEMENTS ET CAPACITÉ ====================
+  // Sans eventId : l'événement actuellement en vente
+
+  // { currentEventId, events: [{ id, name, date, venue, current }] }
+  async listEvents() {
+    const data = await this.request("GET", "/api/events");
+    delete data.success;
+    return data;
+  }
+
+  // { id, name, date, venue, dressCode, currency, ticketTypes: { unite: { label, price, seats, guests } } }
+  async getEvent(eventId) {
+    const data = await this.request(
+      "GET",
+      "/api/event" + this.eventQuery(eventId)
+    );
+    return data.event;
+  }
+
+  async createEvent(event) {
+    const data = await this.request("POST", "/api/admin/events", event);
+    return data.event;
+  }
+
+  async updateEvent(eventId, changes) {
+    const data = await this.request(
+      "PUT",
+      `/api/admin/events/${encodeURIComponent(eventId)}`,
+      changes
+    );
+    return data.event;
+  }
+
+  async setCurrentEvent(eventId) {
+    const data = await this.request(
+      "POST",
+      `/api/admin/events/${encodeURIComponent(eventId)}/current`
+    );
+    return data.event;
+  }
+
+  // ticketType : { key, label, price, seats, guests }
+  async addTicketType(eventId, ticketType) {
+    const data = await this.request(
+      "POST",
+      `/api/admin/events/${encodeURIComponent(eventId)}/ticket-types`,
+      ticketType
+    );
+    return data.event;
+  }
+
+  async removeTicketType(eventId, type) {
+    const data = await this.request(
+      "DELETE",
+      `/api/admin/events/${encodeURIComponent(
+        eventId
+      )}/ticket-types/${encodeURIComponent(type)}`
+    );
+    return data.event;
+  }
+
+  // question : { label, kind: "text" | "select" | "checkbox", options, required, ticketTypes }
+  async addQuestion(eventId, question) {
+    const data = await this.request(
+      "POST",
+      `/api/admin/events/${encodeURIComponent(eventId)}/questions`,
+      question
+    );
+    return data.event;
+  }
+
+  async removeQuestion(eventId, questionId) {
+    const data = await this.request(
+      "DELETE",
+      `/api/admin/events/${encodeURIComponent(
+        eventId
+      )}/questions/${encodeURIComponent(questionId)}`
+    );
+    return data.event;
+  }
+
+  // { eventId, capacity, usedSeats, remainingSeats, soldOut, types: { unite: {...}, couple: {...} } }
+  async getAvailability(eventId) {
+    const data = await this.request(
+      "GET",
+      "/api/availability" + this.eventQuery(eventId)
+    );
+    delete data.success;
+    return data;
+  }
+
+  // changes : { capacity, ticketTypes: { unite, couple } } (null = illimité)
+  async updateCapacity(eventId, changes) {
+    const data = await this.request(
+      "PUT",
+      `/api/admin/events/${encodeURIComponent(eventId)}/capacity`,
+      changes
+    );
+    delete data.success;
+    return data;
+  }
+
+  eventQuery(eventId) {
+    return eventId ? `?event=${encodeURIComponent(eventId)}` : "";
+  }
+
+  // ==================== LISTE D'ATTENTE ====================
+  // entry : { eventId, type, name, email, phone } → { id, type, status, position }
+  async joinWaitlist(entry) {
+    const data = await this.request("POST", "/api/waitlist", entry);
+    return data.entry;
+  }
+
+  // Lien de l'email : { eventId, type, name, email, phone, offerExpiresAt }
+  async getWaitlistOffer(token) {
+    const data = await this.request(
+      "GET",
+      `/api/waitlist/offers/${encodeURIComponent(token)}`
+    );
+    return data.offer;
+  }
+
+  async listWaitlist(eventId) {
+    const data = await this.request(
+      "GET",
+      "/api/admin/waitlist" + this.eventQuery(eventId)
+    );
+    return data.waitlist;
+  }
+
+  async offerWaitlistEntry(id) {
+    const data = await this.request(
+      "POST",
+      `/api/admin/waitlist/${encodeURIComponent(id)}/offer`
+    );
+    return data.entry;
+  }
+
+  async removeWaitlistEntry(id) {
+    await this.request(
+      "DELETE",
+      `/api/admin/waitlist/${encodeURIComponent(id)}`
+    );
+    return true;
+  }
+
+  // ==================== CODES PROMO ====================
+  // { amount, originalAmount, discount, currency, promoCode }
+  async validatePromoCode(code, eventId, type) {
+    const data = await this.request("POST", "/api/promo-codes/validate", {
+      code,
+      eventId,
+      type,
+    });
+    delete data.success;
+    return data;
+  }
+
+  async listPromoCodes(eventId) {
+    const data = await this.request(
+      "GET",
+      "/api/admin/promo-codes" + this.eventQuery(eventId)
+    );
+    return data.promoCodes;
+  }
+
+  // promoCode : { code, kind: "percent" | "fixed", value, ticketTypes, maxUses, validFrom, validUntil, eventId }
+  async createPromoCode(promoCode) {
+    const data = await this.request(
+      "POST",
+      "/api/admin/promo-codes",
+      promoCode
+    );
+    return data.promoCode;
+  }
+
+  async updatePromoCode(code, changes) {
+    const data = await this.request(
+      "PUT",
+      `/api/admin/promo-codes/${encodeURIComponent(code)}`,
+      changes
+    );
+    return data.promoCode;
+  }
+
+  async deletePromoCode(code) {
+    await this.request(
+      "DELETE",
+      `/api/admin/promo-codes/${encodeURIComponent(code)}`
+    );
+    return true;
+  }
+
+  // ==================== SYNCHRONISATION ====================
+  async syncBatch(batch) {
+    const data = await this.request("POST", "/api/sync/batch", batch);
+    return data.acks;
+  }
+
+  async getChanges(since) {
+    const query = since ? `?since=${encodeURIComponent(since)}` : "";
+    return this.request("GET", "/api/sync/changes" + query);
+  }
+}
+
+// Instance globale
+const billetAPI = new BilletAPI();
+
+window.BilletAPI = BilletAPI;
+window.billetAPI = billetAPI;
@@ -2,7 +2,7 @@
 class EnhancedBilletDB {
   constructor() {
     this.dbName = "BielleterieDB";
-    this.version = 6; // Version incrémentée pour les nouvelles fonctionnalités
+    this.version = 8; // v8 : file des entrées scannées hors ligne (checkin.html)
     this.db = null;
     this.isInitialized = false;
     this.initializationPromise = null;
@@ -15,7 +15,10 @@ class EnhancedBilletDB {
     this.maxRetries = 3;
     this.syncConflicts = new Map();
     this.metrics = new MetricsTracker();
-    this.encryptionKey = localStorage.getItem("bielleterie_encryption_key");
+    // Chiffrement AES-GCM : la clé dérivée de la phrase de passe admin
+    // reste en mémoire (jamais persistée). legacyKey = ancien schéma à migrer.
+    this.cryptoKey = null;
+    this.legacyKey = localStorage.getItem("bielleterie_encryption_key");
 
     // Observer de performance
     this.setupPerformanceObserver();
@@ -56,9 +59,6 @@ class EnhancedBilletDB {
         this.setupCrossPageListener();
         this.restoreFromBackupIfNeeded();
 
-        // Générer une clé de chiffrement si nécessaire
-        this.ensureEncryptionKey();
-
         resolve(this.db);
       };
 
@@ -103,6 +103,21 @@ class EnhancedBilletDB {
         // Créer les index avancés
         this.createAdvancedIndexes(db);
 
+        // v7 : inscriptions et paiements rattachés à un événement. Les
+        // enregistrements existants reçoivent leur eventId par le flux serveur.
+        const upgrade = event.target.transaction;
+        ["clients", "payments"].forEach((storeName) => {
+          const store = upgrade.objectStore(storeName);
+          if (!store.indexNames.contains("eventId")) {
+            store.createIndex("eventId", "eventId", { unique: false });
+          }
+        });
+
+        // v8 : une entrée en attente par invité, envoyée au retour du réseau
+        if (!db.objectStoreNames.contains("checkins")) {
+          db.createObjectStore("checkins", { keyPath: "clientId" });
+        }
+
         console.log("✅ Structure BDD créée avec succès");
       };
 
@@ -175,25 +190,39 @@ class EnhancedBilletDB {
 
       // Traiter d'abord la file d'attente
       if (this.syncQueue.length > 0) {
-        await this.processSyncQueue();
+        await this.processSyncQueue(true);
       }
 
-      // Ensuite synchroniser les clients non synchronisés
+      // Ensuite synchroniser les clients et paiements non synchronisés
       const unsyncedClients = await this.getUnsyncedClients();
+      const unsyncedPayments = await this.getUnsyncedPayments();
 
-      if (unsyncedClients.length > 0) {
-        console.log(`🔄 ${unsyncedClients.length} clients à synchroniser`);
+      if (unsyncedClients.length > 0 || unsyncedPayments.length > 0) {
+        console.log(
+          `🔄 ${unsyncedClients.length} clients et ${unsyncedPayments.length} paiements à synchroniser`
+        );
+
+        // Envoyer au serveur : seuls les éléments acquittés sont marqués
+        const acks = await this.syncWithAdmin(
+          unsyncedClients,
+          unsyncedPayments
+        );
+        const confirmedClients = this.filterAcknowledged(
+          unsyncedClients,
+          acks.clients
+        );
+        const confirmedPayments = this.filterAcknowledged(
+          unsyncedPayments,
+          acks.payments
+        );
 
-        // Synchroniser avec l'admin
-        const success = await this.syncWithAdmin(unsyncedClients);
+        await this.markAsSynced(confirmedClients, acks.clients);
+        await this.markPaymentsAsSynced(confirmedPayments);
 
-        if (success) {
-          // Marquer comme synchronisés
-          await this.markAsSynced(unsyncedClients);
-          this.metrics.recordSync(Date.now() - startTime, true);
-        } else {
-          this.metrics.recordSync(Date.now() - startTime, false);
-        }
+        const complete =
+          confirmedClients.length === unsyncedClients.length &&
+          confirmedPayments.length === unsyncedPayments.length;
+        this.metrics.recordSync(Date.now() - startTime, complete);
       }
     } catch (error) {
       console.error("❌ Erreur synchronisation:", error);
@@ -221,8 +250,8 @@ class EnhancedBilletDB {
     }
   }
 
-  async processSyncQueue() {
-    if (this.isSyncing || this.syncQueue.length === 0) return;
+  async processSyncQueue(ownsLock = false) {
+    if ((this.isSyncing && !ownsLock) || this.syncQueue.length === 0) return;
 
     this.isSyncing = true;
     console.log(
@@ -234,7 +263,14 @@ class EnhancedBilletDB {
       syncItem.status = "processing";
 
       try {
-        await this.syncWithAdmin([syncItem.client]);
+        const acks = await this.syncWithAdmin([syncItem.client]);
+        const ack = acks.clients.find((a) => a.id === syncItem.client.id);
+
+        if (!ack || !this.isAcknowledged(ack)) {
+          throw new Error(
+            (ack && ack.error) || "Client non confirmé par le serveur"
+          );
+        }
         syncItem.status = "synced";
 
         // Marquer le client comme synchronisé dans la BDD
@@ -264,7 +300,9 @@ class EnhancedBilletDB {
       }
     }
 
-    this.isSyncing = false;
+    if (!ownsLock) {
+      this.isSyncing = false;
+    }
     console.log("✅ File de sync traitée");
   }
 
@@ -294,94 +332,311 @@ class EnhancedBilletDB {
     });
   }
 
+  // Les booléens ne sont pas des clés IndexedDB valides : l'index
+  // sync_status ne peut pas filtrer synced = false, on filtre en mémoire.
   async getUnsyncedClients() {
     await this.ensureConnection();
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(["clients"], "readonly");
       const store = transaction.objectStore("clients");
-      const index = store.index("sync_status");
-      const range = IDBKeyRange.only([false]); // synced = false
-
-      const request = index.getAll(range);
+      const request = store.getAll();
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
-        const clients = request.result;
+        const clients = request.result.filter((client) => !client.synced);
         resolve(clients);
       };
     });
   }
 
-  async syncWithAdmin(clients) {
-    console.log("📤 Envoi des clients à l'admin:", clients.length);
+  async getUnsyncedPayments() {
+    const payments = await this.getAllPayments();
+    return payments.filter((payment) => payment.synced === false);
+  }
 
-    // Chiffrer les données sensibles si nécessaire
-    const clientsToSync = this.encryptionKey
-      ? clients.map((client) => this.encryptSensitiveData(client))
-      : clients;
+  async syncWithAdmin(clients, payments = []) {
+    console.log(
+      "📤 Envoi au serveur:",
+      clients.length,
+      "clients,",
+      payments.length,
+      "paiements"
+    );
 
-    const syncData = {
-      action: "sync_clients",
-      clients: clientsToSync,
-      timestamp: new Date().toISOString(),
-      source: "device_" + this.getDeviceId(),
-      version: this.version,
-      encrypted: !!this.encryptionKey,
-    };
+    if (!window.billetAPI) {
+      throw new Error("billet-api.js non chargé : synchronisation impossible");
+    }
+    if (this.isEncryptionLocked()) {
+      throw new Error("Chiffrement verrouillé : synchronisation suspendue");
+    }
 
-    // Stocker dans localStorage pour la synchronisation
-    localStorage.setItem("bielleterie_sync_to_admin", JSON.stringify(syncData));
+    // Le serveur reçoit les données en clair (transport HTTPS)
+    const clientsToSync = await Promise.all(
+      clients.map(async (client) =>
+        this.toSyncRecord(await this.decryptSensitiveData(client))
+      )
+    );
+    const paymentsToSync = payments.map((payment) =>
+      this.toSyncRecord(payment)
+    );
 
-    // Déclencher un événement pour l'admin
-    window.dispatchEvent(
-      new CustomEvent("bielleterieNewClients", {
-        detail: {
-          clients: clientsToSync,
-          syncData: syncData,
-        },
-      })
+    const acks = await window.billetAPI.syncBatch({
+      deviceId: this.getDeviceId(),
+      clients: clientsToSync.map((record) => ({
+        idempotencyKey: this.getIdempotencyKey(record),
+        record,
+      })),
+      payments: paymentsToSync.map((record) => ({
+        idempotencyKey: this.getIdempotencyKey(record),
+        record,
+      })),
+    });
+
+    const rejected = [...acks.clients, ...acks.payments].filter(
+      (ack) => !this.isAcknowledged(ack)
     );
+    if (rejected.length > 0) {
+      console.warn("⚠️ Éléments refusés par le serveur:", rejected);
+    }
 
-    // Simuler un envoi réseau réussi (à remplacer par votre API réelle)
-    return this.simulateNetworkRequest(clientsToSync);
+    return acks;
   }
 
-  async simulateNetworkRequest(clients) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simuler un succès 95% du temps
-        if (Math.random() > 0.05) {
-          resolve(true);
-        } else {
-          reject(new Error("Erreur réseau simulée"));
-        }
-      }, 500);
-    });
+  toSyncRecord(record) {
+    const { synced, syncedAt, encrypted, ...rest } = record;
+    return rest;
+  }
+
+  // Une clé par révision : la même révision renvoyée deux fois est dédupliquée
+  getIdempotencyKey(record) {
+    return `${this.getDeviceId()}:${record.id}:${
+      record.lastUpdated || record.timestamp
+    }`;
+  }
+
+  isAcknowledged(ack) {
+    return ack.status === "accepted" || ack.status === "duplicate";
+  }
+
+  filterAcknowledged(records, acks) {
+    const confirmedIds = new Set(
+      acks.filter((ack) => this.isAcknowledged(ack)).map((ack) => ack.id)
+    );
+    return records.filter((record) => confirmedIds.has(record.id));
   }
 
-  async markAsSynced(clients) {
+  // clients : copies envoyées au serveur. Chaque enregistrement est relu dans
+  // la transaction ; modifié pendant l'envoi (lastUpdated différent), il reste
+  // à synchroniser. Seuls synced, syncedAt et version sont écrits : la version
+  // acquittée par le serveur (acks) sert de base à la prochaine modification,
+  // y compris celle faite pendant l'envoi.
+  async markAsSynced(clients, acks = []) {
+    if (clients.length === 0) return;
     await this.ensureConnection();
 
+    const versions = new Map(
+      acks.filter((ack) => ack.version).map((ack) => [ack.id, ack.version])
+    );
     const transaction = this.db.transaction(["clients"], "readwrite");
     const store = transaction.objectStore("clients");
+    const syncedAt = new Date().toISOString();
+    let marked = 0;
 
-    for (const client of clients) {
-      client.synced = true;
-      client.syncedAt = new Date().toISOString();
-      client.lastUpdated = new Date().toISOString();
-      store.put(client);
+    for (const sent of clients) {
+      const request = store.get(sent.id);
+      request.onsuccess = () => {
+        const current = request.result;
+        if (!current) return;
+        if (versions.has(sent.id)) current.version = versions.get(sent.id);
+        if (current.lastUpdated === sent.lastUpdated) {
+          current.synced = true;
+          current.syncedAt = syncedAt;
+          marked++;
+        }
+        store.put(current);
+      };
     }
 
     return new Promise((resolve, reject) => {
       transaction.oncomplete = () => {
-        console.log(`✅ ${clients.length} clients marqués comme synchronisés`);
+        console.log(`✅ ${marked} clients marqués comme synchronisés`);
         resolve();
       };
       transaction.onerror = () => reject(transaction.error);
     });
   }
 
+  async markPaymentsAsSynced(payments) {
+    if (payments.length === 0) return;
+    await this.ensureConnection();
+
+    const transaction = this.db.transaction(["payments"], "readwrite");
+    const store = transaction.objectStore("payments");
+
+    for (const payment of payments) {
+      payment.synced = true;
+      payment.syncedAt = new Date().toISOString();
+      store.put(payment);
+    }
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        console.log(
+          `✅ ${payments.length} paiements marqués comme synchronisés`
+        );
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // ==================== FLUX DELTA SERVEUR → LOCAL ====================
+  // Applique les changements de GET /api/sync/changes. Les enregistrements
+  // reçus sont déjà sur le serveur : ils sont stockés comme synchronisés.
+  async applyRemoteChanges(feed) {
+    const summary = { created: [], updated: 0, deleted: 0 };
+
+    if (feed.reset) {
+      // Instantané complet : on garde seulement les créations locales non envoyées
+      const unsynced = await this.getUnsyncedClients();
+      await this.ensureConnection();
+      await this.clearStore("clients");
+      await this.clearStore("payments");
+      for (const client of unsynced) {
+        await this.putRawRecord("clients", client);
+      }
+    }
+
+    for (const change of feed.changes) {
+      const storeName = change.entity === "payment" ? "payments" : "clients";
+
+      if (change.op === "deleted" || !change.record) {
+        await this.deleteRecord(storeName, change.id);
+        summary.deleted++;
+        continue;
+      }
+
+      const applied =
+        storeName === "clients"
+          ? await this.saveRemoteClient(change.record)
+          : await this.putRawRecord("payments", {
+              ...change.record,
+              synced: true,
+              syncedAt: new Date().toISOString(),
+            });
+
+      if (applied && change.op === "created" && storeName === "clients") {
+        summary.created.push(change.record);
+      } else if (applied) {
+        summary.updated++;
+      }
+    }
+
+    return summary;
+  }
+
+  async saveRemoteClient(remoteClient) {
+    const existing = await this.getClient(remoteClient.id);
+
+    // Modification locale plus récente pas encore envoyée : elle gagne
+    if (
+      existing &&
+      !existing.synced &&
+      new Date(existing.lastUpdated) > new Date(remoteClient.lastUpdated)
+    ) {
+      return false;
+    }
+
+    const client = {
+      ...remoteClient,
+      synced: true,
+      syncedAt: new Date().toISOString(),
+    };
+    const clientToSave = await this.encryptSensitiveData(client);
+
+    await this.putRawRecord("clients", clientToSave);
+    return true;
+  }
+
+  async putRawRecord(storeName, record) {
+    await this.ensureConnection();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], "readwrite");
+      const store = transaction.objectStore(storeName);
+      const request = store.put(record);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(true);
+    });
+  }
+
+  async deleteRecord(storeName, id) {
+    await this.ensureConnection();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], "readwrite");
+      const store = transaction.objectStore(storeName);
+      const request = store.delete(id);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(true);
+    });
+  }
+
+  // ==================== ENTRÉES (CONTRÔLE À LA PORTE) ====================
+  // Les entrées scannées sont appliquées au cache local puis mises en file
+  // jusqu'à ce que POST /api/checkins les accuse (réseau de la salle instable).
+  async getRawRecord(storeName, id) {
+    await this.ensureConnection();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], "readonly");
+      const request = transaction.objectStore(storeName).get(id);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || null);
+    });
+  }
+
+  // Champs d'entrée posés sur l'enregistrement stocké (chiffré ou non)
+  async markClientCheckedIn(clientId, checkedInAt, checkedInBy) {
+    const client = await this.getRawRecord("clients", clientId);
+    if (!client) return false;
+
+    await this.putRawRecord("clients", {
+      ...client,
+      checkedInAt,
+      checkedInBy: checkedInBy || null,
+    });
+    return true;
+  }
+
+  async queueCheckIn(checkin) {
+    await this.putRawRecord("checkins", {
+      ...checkin,
+      deviceId: this.getDeviceId(),
+      queuedAt: new Date().toISOString(),
+    });
+  }
+
+  async getPendingCheckIns() {
+    await this.ensureConnection();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(["checkins"], "readonly");
+      const request = transaction.objectStore("checkins").getAll();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  async removeCheckIn(clientId) {
+    return this.deleteRecord("checkins", clientId);
+  }
+
   // ==================== SYNCHRONISATION BIDIRECTIONNELLE ====================
   setupAdminSyncListener() {
     window.addEventListener("bielleterieAdminUpdate", async (event) => {
@@ -426,10 +681,7 @@ class EnhancedBilletDB {
 
         if (updatedTime > existingTime) {
           // Décrypter si nécessaire
-          const clientToSave =
-            this.encryptionKey && updatedClient.encrypted
-              ? this.decryptSensitiveData(updatedClient)
-              : updatedClient;
+          const clientToSave = await this.decryptSensitiveData(updatedClient);
 
           await this.saveClientDirect(clientToSave);
           console.log("✅ Client mis à jour depuis admin:", updatedClient.id);
@@ -441,10 +693,7 @@ class EnhancedBilletDB {
         }
       } else {
         // Nouveau client de l'admin
-        const clientToSave =
-          this.encryptionKey && updatedClient.encrypted
-            ? this.decryptSensitiveData(updatedClient)
-            : updatedClient;
+        const clientToSave = await this.decryptSensitiveData(updatedClient);
 
         await this.saveClientDirect(clientToSave);
         console.log("✅ Nouveau client ajouté depuis admin:", updatedClient.id);
@@ -466,13 +715,16 @@ class EnhancedBilletDB {
   async forceFullSync() {
     console.log("🔄 Synchronisation forcée demandée par admin");
 
-    const allClients = await this.getAllClients();
-    const unsyncedClients = allClients.filter((client) => !client.synced);
+    // Enregistrements bruts (chiffrés) : markAsSynced compare leur lastUpdated
+    const unsyncedClients = await this.getUnsyncedClients();
 
     if (unsyncedClients.length > 0) {
       console.log(`🔄 Synchronisation de ${unsyncedClients.length} clients`);
-      await this.syncWithAdmin(unsyncedClients);
-      await this.markAsSynced(unsyncedClients);
+      const acks = await this.syncWithAdmin(unsyncedClients);
+      await this.markAsSynced(
+        this.filterAcknowledged(unsyncedClients, acks.clients),
+        acks.clients
+      );
     } else {
       console.log("✅ Tous les clients sont déjà synchronisés");
     }
@@ -545,53 +797,63 @@ class EnhancedBilletDB {
       }
     }
 
-    // Fallback vers localStorage si tout échoue
+    // Fallback vers localStorage si tout échoue (chiffré comme en base)
     console.warn("⚠️ Fallback vers localStorage après échecs répétés");
-    this.saveToFallback(client);
+    try {
+      this.saveToFallback(await this.encryptSensitiveData(client));
+    } catch (error) {
+      console.error("❌ Fallback impossible:", error.message);
+    }
     throw lastError;
   }
 
   async saveClientDirect(client) {
     await this.ensureConnection();
 
-    return new Promise((resolve, reject) => {
-      try {
-        const transaction = this.db.transaction(["clients"], "readwrite");
-        const store = transaction.objectStore("clients");
+    if (!client.id) {
+      client.id = this.generateClientId(client.type);
+    }
 
-        if (!client.id) {
-          client.id = this.generateClientId(client.type);
-        }
+    if (!client.timestamp) {
+      client.timestamp = new Date().toISOString();
+    }
 
-        if (!client.timestamp) {
-          client.timestamp = new Date().toISOString();
-        }
+    const completeClient = {
+      id: client.id,
+      nom1: client.nom1 || "",
+      nom2: client.nom2 || "",
+      guestNames: client.guestNames || [],
+      answers: client.answers || {},
+      email: client.email || "",
+      phone: client.phone || "",
+      type: client.type || "unite",
+      eventId: client.eventId || null,
+      amount: client.amount !== undefined ? client.amount : null,
+      currency: client.currency || null,
+      promoCode: client.promoCode || null,
+      discount: client.discount || 0,
+      timestamp: client.timestamp,
+      page: client.page || "unknown",
+      ip: client.ip || "local",
+      userAgent: navigator.userAgent,
+      deviceInfo: this.getDeviceInfo(),
+      paiement: client.paiement || "En attente",
+      paymentDate: client.paymentDate || null,
+      paymentReference: client.paymentReference || null,
+      deviceId: this.getDeviceId(),
+      synced: false,
+      syncedAt: null,
+      lastUpdated: new Date().toISOString(),
+      version: 1,
+    };
 
-        const completeClient = {
-          id: client.id,
-          nom1: client.nom1 || "",
-          nom2: client.nom2 || "",
-          email: client.email || "",
-          phone: client.phone || "",
-          type: client.type || "unite",
-          timestamp: client.timestamp,
-          page: client.page || "unknown",
-          ip: client.ip || "local",
-          userAgent: navigator.userAgent,
-          deviceInfo: this.getDeviceInfo(),
-          paiement: client.paiement || "En attente",
-          paymentDate: client.paymentDate || null,
-          deviceId: this.getDeviceId(),
-          synced: false,
-          syncedAt: null,
-          lastUpdated: new Date().toISOString(),
-          version: 1,
-        };
+    // Chiffrer avant d'ouvrir la transaction (elle se fermerait pendant l'attente)
+    const clientToSave = await this.encryptSensitiveData(completeClient);
 
-        // Chiffrer les données sensibles si activé
-        const clientToSave = this.encryptionKey
-          ? this.encryptSensitiveData(completeClient)
-          : completeClient;
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = this.db.transaction(["clients"], "readwrite");
+        const store = transaction.objectStore("clients");
 
         const request = store.put(clientToSave);
 
@@ -606,7 +868,7 @@ class EnhancedBilletDB {
 
           // Sauvegardes
           this.createAutoBackup();
-          this.saveToFallback(completeClient);
+          this.saveToFallback(clientToSave);
 
           this.triggerCrossPageSync(completeClient);
           resolve(completeClient);
@@ -646,10 +908,17 @@ class EnhancedBilletDB {
       errors.push("Format téléphone invalide");
     }
 
-    // Validation type
-    const validTypes = ["unite", "couple"];
-    if (!validTypes.includes(client.type)) {
-      errors.push(`Type invalide. Doit être: ${validTypes.join(", ")}`);
+    // Validation type : ceux de l'événement (event-info.js), le serveur
+    // tranche si la configuration n'est pas encore chargée
+    const validTypes = eventInfo.config
+      ? Object.keys(eventInfo.config.ticketTypes)
+      : null;
+    if (!client.type || (validTypes && !validTypes.includes(client.type))) {
+      errors.push(`Type invalide. Doit être: ${(validTypes || []).join(", ")}`);
+    }
+
+    if (client.paiement && !PaymentStates.labels().includes(client.paiement)) {
+      errors.push(`Statut de paiement invalide: ${client.paiement}`);
     }
 
     if (errors.length > 0) {
@@ -669,62 +938,350 @@ class EnhancedBilletDB {
     return phoneRegex.test(phone);
   }
 
-  // ==================== CHIFFREMENT DES DONNÉES ====================
-  ensureEncryptionKey() {
-    if (!this.encryptionKey) {
-      this.encryptionKey =
-        "key_" + Date.now() + "_" + Math.random().toString(36).substr(2, 16);
-      localStorage.setItem("bielleterie_encryption_key", this.encryptionKey);
+  // ==================== CHIFFREMENT DES DONNÉES (AES-GCM) ====================
+  // Champs chiffrés un par un au format "v2:<iv>:<données>" (base64).
+  // localStorage ne garde que le sel PBKDF2 et un vérificateur chiffré.
+  getEncryptionConfig() {
+    try {
+      return JSON.parse(localStorage.getItem("bielleterie_encryption"));
+    } catch (error) {
+      return null;
     }
   }
 
-  encryptSensitiveData(client) {
-    if (!this.encryptionKey) return client;
+  isEncryptionConfigured() {
+    return !!this.getEncryptionConfig();
+  }
 
-    const sensitiveClient = { ...client };
-    const fieldsToEncrypt = ["email", "phone", "nom1", "nom2"];
+  isEncryptionLocked() {
+    return this.isEncryptionConfigured() && !this.cryptoKey;
+  }
 
-    fieldsToEncrypt.forEach((field) => {
-      if (sensitiveClient[field]) {
-        sensitiveClient[field] = this.simpleEncrypt(sensitiveClient[field]);
-      }
+  async configureEncryption(passphrase) {
+    if (this.isEncryptionConfigured()) {
+      throw new Error("Chiffrement déjà configuré");
+    }
+
+    const { config, key } = await this.createEncryptionConfig(passphrase);
+    localStorage.setItem("bielleterie_encryption", JSON.stringify(config));
+    this.cryptoKey = key;
+
+    await this.migrateLegacyEncryption();
+    console.log("🔐 Chiffrement AES-GCM configuré");
+    return true;
+  }
+
+  async unlockEncryption(passphrase) {
+    const config = this.getEncryptionConfig();
+    if (!config) throw new Error("Chiffrement non configuré");
+
+    this.cryptoKey = await this.verifyPassphrase(passphrase, config);
+    console.log("🔓 Données chiffrées déverrouillées");
+
+    await this.migrateLegacyEncryption();
+    this.restoreFromBackupIfNeeded();
+    return true;
+  }
+
+  lockEncryption() {
+    this.cryptoKey = null;
+    console.log("🔒 Données chiffrées verrouillées");
+  }
+
+  // Rechiffre clients, sauvegardes et copies localStorage avec une nouvelle clé
+  async rotateEncryptionKey(currentPassphrase, newPassphrase) {
+    const currentConfig = this.getEncryptionConfig();
+    if (!currentConfig) throw new Error("Chiffrement non configuré");
+
+    const oldKey = await this.verifyPassphrase(
+      currentPassphrase,
+      currentConfig
+    );
+    const { config, key } = await this.createEncryptionConfig(newPassphrase);
+    const reencrypt = async (client) =>
+      this.encryptSensitiveData(
+        await this.decryptSensitiveData(client, oldKey),
+        key
+      );
+
+    // Tout est préparé avant d'ouvrir la transaction unique
+    const clients = await Promise.all(
+      (await this.getAllRawClients()).map(reencrypt)
+    );
+    const backups = await Promise.all(
+      (
+        await this.getAllBackups()
+      ).map(async (backup) => ({
+        ...backup,
+        clients: await Promise.all((backup.clients || []).map(reencrypt)),
+      }))
+    );
+    const fallback = await Promise.all(
+      this.getFallbackClients().map(reencrypt)
+    );
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        ["clients", "backups"],
+        "readwrite"
+      );
+      clients.forEach((client) =>
+        transaction.objectStore("clients").put(client)
+      );
+      backups.forEach((backup) =>
+        transaction.objectStore("backups").put(backup)
+      );
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
     });
 
+    localStorage.setItem("bielleterie_encryption", JSON.stringify(config));
+    localStorage.setItem(
+      "bielleterie_clients_fallback",
+      JSON.stringify(fallback)
+    );
+    this.cryptoKey = key;
+    await this.createAutoBackup();
+
+    console.log(`🔑 Clé de chiffrement renouvelée (${clients.length} clients)`);
+    return { clients: clients.length, backups: backups.length };
+  }
+
+  async createEncryptionConfig(passphrase) {
+    if (!passphrase || passphrase.length < 10) {
+      throw new Error("Phrase de passe trop courte (10 caractères minimum)");
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = 310000;
+    const key = await this.deriveKey(passphrase, salt, iterations);
+
+    return {
+      key,
+      config: {
+        version: 2,
+        algorithm: "AES-GCM",
+        kdf: "PBKDF2-SHA256",
+        iterations,
+        salt: this.toBase64(salt),
+        verifier: await this.encryptValue("bielleterie", key),
+        createdAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  // Le vérificateur ne se déchiffre (tag GCM valide) qu'avec la bonne phrase
+  async verifyPassphrase(passphrase, config) {
+    const key = await this.deriveKey(
+      passphrase || "",
+      this.fromBase64(config.salt),
+      config.iterations
+    );
+    try {
+      await this.decryptValue(config.verifier, key);
+    } catch (error) {
+      throw new Error("Phrase de passe incorrecte");
+    }
+    return key;
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async encryptValue(text, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(text)
+    );
+    return `v2:${this.toBase64(iv)}:${this.toBase64(new Uint8Array(data))}`;
+  }
+
+  async decryptValue(value, key) {
+    const [, iv, data] = value.split(":");
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.fromBase64(iv) },
+      key,
+      this.fromBase64(data)
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+  }
+
+  // Sans configuration, les données restent en clair ; configurée mais
+  // verrouillée, l'écriture est refusée plutôt que faite en clair.
+  async encryptSensitiveData(client, key = this.cryptoKey) {
+    if (!this.isEncryptionConfigured()) return client;
+    if (!key) {
+      throw new Error("Chiffrement verrouillé : déverrouillez les données");
+    }
+
+    const sensitiveClient = { ...client };
+    for (const field of this.sensitiveFields) {
+      const value = sensitiveClient[field];
+      if (!value || this.isEncryptedValue(value)) continue;
+      sensitiveClient[field] = await this.encryptValue(
+        this.structuredFields.includes(field)
+          ? JSON.stringify(value)
+          : String(value),
+        key
+      );
+    }
+
     sensitiveClient.encrypted = true;
     return sensitiveClient;
   }
 
-  decryptSensitiveData(client) {
-    if (!client.encrypted || !this.encryptionKey) return client;
+  // Lit les deux schémas ; sans clé, les champs v2 sont masqués (locked: true)
+  async decryptSensitiveData(client, key = this.cryptoKey) {
+    if (!client || !client.encrypted) return client;
 
     const decryptedClient = { ...client };
-    const fieldsToDecrypt = ["email", "phone", "nom1", "nom2"];
-
-    fieldsToDecrypt.forEach((field) => {
-      if (decryptedClient[field]) {
-        decryptedClient[field] = this.simpleDecrypt(decryptedClient[field]);
+    for (const field of this.sensitiveFields) {
+      const value = decryptedClient[field];
+      // Tableau ou objet : enregistré en clair avant le chiffrement de ce champ
+      if (!value || typeof value !== "string") continue;
+
+      if (!this.isEncryptedValue(value)) {
+        decryptedClient[field] = this.legacyDecrypt(value);
+      } else if (!key) {
+        decryptedClient[field] = this.maskedValue(field, "🔒 ••••••");
+        decryptedClient.locked = true;
+      } else {
+        try {
+          const plain = await this.decryptValue(value, key);
+          decryptedClient[field] = this.structuredFields.includes(field)
+            ? JSON.parse(plain)
+            : plain;
+        } catch (error) {
+          console.error("❌ Erreur déchiffrement:", client.id, field);
+          decryptedClient[field] = this.maskedValue(field, "[illisible]");
+        }
       }
-    });
+    }
 
     decryptedClient.encrypted = false;
     return decryptedClient;
   }
 
-  simpleEncrypt(text) {
-    // Chiffrement simple base64 (remplacer par une vraie solution de chiffrement)
-    return btoa(unescape(encodeURIComponent(text + this.encryptionKey)));
+  get sensitiveFields() {
+    return ["email", "phone", "nom1", "nom2", ...this.structuredFields];
   }
 
-  simpleDecrypt(encryptedText) {
+  // Noms des invités (tableau) et réponses aux questions (objet) : chiffrés
+  // en JSON, relus sous leur forme d'origine
+  get structuredFields() {
+    return ["guestNames", "answers"];
+  }
+
+  isEncryptedValue(value) {
+    return typeof value === "string" && value.startsWith("v2:");
+  }
+
+  // Valeur affichée à la place d'un champ illisible, du type attendu
+  maskedValue(field, text) {
+    if (field === "guestNames") return [text];
+    if (field === "answers") return {};
+    return text;
+  }
+
+  // Ancien schéma (base64 + clé en localStorage), lu uniquement pour migration
+  legacyDecrypt(encryptedText) {
+    if (!this.legacyKey) return "[chiffré]";
     try {
       const decrypted = decodeURIComponent(escape(atob(encryptedText)));
-      return decrypted.replace(this.encryptionKey, "");
+      return decrypted.replace(this.legacyKey, "");
     } catch (error) {
       console.error("❌ Erreur déchiffrement:", error);
       return "[chiffré]";
     }
   }
 
+  // Rechiffre en AES-GCM les enregistrements en clair ou de l'ancien schéma,
+  // puis supprime l'ancienne clé de localStorage.
+  async migrateLegacyEncryption() {
+    if (!this.cryptoKey) return 0;
+
+    // Sans l'ancienne clé, un champ de l'ancien schéma est illisible : on n'y
+    // touche pas. Noms des invités et réponses restés en clair dans un
+    // enregistrement chiffré : chiffrés à leur tour.
+    const unreadable = (client) =>
+      client.encrypted &&
+      !this.legacyKey &&
+      this.sensitiveFields.some(
+        (field) =>
+          typeof client[field] === "string" &&
+          client[field] &&
+          !this.isEncryptedValue(client[field])
+      );
+    const needsMigration = (client) =>
+      !unreadable(client) &&
+      this.sensitiveFields.some(
+        (field) => client[field] && !this.isEncryptedValue(client[field])
+      );
+    const migrate = async (client) =>
+      needsMigration(client)
+        ? this.encryptSensitiveData(await this.decryptSensitiveData(client))
+        : client;
+
+    const toMigrate = (await this.getAllRawClients()).filter(needsMigration);
+    for (const client of toMigrate) {
+      await this.putRawRecord("clients", await migrate(client));
+    }
+
+    // Les sauvegardes doivent rester lisibles une fois l'ancienne clé supprimée
+    for (const backup of await this.getAllBackups()) {
+      if ((backup.clients || []).some(needsMigration)) {
+        await this.saveBackup({
+          ...backup,
+          clients: await Promise.all(backup.clients.map(migrate)),
+        });
+      }
+    }
+
+    const fallback = this.getFallbackClients();
+    if (fallback.some(needsMigration)) {
+      localStorage.setItem(
+        "bielleterie_clients_fallback",
+        JSON.stringify(await Promise.all(fallback.map(migrate)))
+      );
+    }
+
+    if (this.legacyKey) {
+      localStorage.removeItem("bielleterie_encryption_key");
+      this.legacyKey = null;
+    }
+    // Rafraîchit aussi la copie localStorage, qui peut dater d'avant la migration
+    await this.createAutoBackup();
+    if (toMigrate.length > 0) {
+      console.log(`🔐 ${toMigrate.length} clients migrés vers AES-GCM`);
+    }
+    return toMigrate.length;
+  }
+
   // ==================== MÉTHODES EXISTANTES AMÉLIORÉES ====================
   async ensureConnection() {
     try {
@@ -749,12 +1306,10 @@ class EnhancedBilletDB {
 
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
-          const clients = request.result;
           // Décrypter les données si nécessaire
-          const decryptedClients = this.encryptionKey
-            ? clients.map((client) => this.decryptSensitiveData(client))
-            : clients;
-          resolve(decryptedClients);
+          Promise.all(
+            request.result.map((client) => this.decryptSensitiveData(client))
+          ).then(resolve, reject);
         };
       } catch (error) {
         reject(error);
@@ -762,9 +1317,50 @@ class EnhancedBilletDB {
     });
   }
 
-  async getStats() {
+  // Inscriptions d'un gala (index eventId, posé par le serveur sur chaque inscription)
+  async getClientsByEvent(eventId) {
     await this.ensureConnection();
-    const clients = await this.getAllClients();
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = this.db.transaction(["clients"], "readonly");
+        const index = transaction.objectStore("clients").index("eventId");
+        const request = index.getAll(eventId);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          Promise.all(
+            request.result.map((client) => this.decryptSensitiveData(client))
+          ).then(resolve, reject);
+        };
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Enregistrements tels que stockés (champs chiffrés), pour sauvegardes et migrations
+  async getAllRawClients() {
+    await this.ensureConnection();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(["clients"], "readonly");
+      const store = transaction.objectStore("clients");
+      const request = store.getAll();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  async getStats(eventId = null) {
+    await this.ensureConnection();
+    const clients = eventId
+      ? await this.getClientsByEvent(eventId)
+      : await this.getAllClients();
+    const payments = (await this.getAllPayments()).filter(
+      (payment) => !eventId || payment.eventId === eventId
+    );
     const today = new Date().toDateString();
 
     const todayClients = clients.filter(
@@ -772,17 +1368,25 @@ class EnhancedBilletDB {
     );
 
     const paidClients = clients.filter((client) => client.paiement === "Payé");
+    const collected = eventInfo.collectedAmounts(payments);
 
     const stats = {
       total: clients.length,
       today: todayClients.length,
       couples: clients.filter((c) => c.type === "couple").length,
       unites: clients.filter((c) => c.type === "unite").length,
+      byType: clients.reduce((counts, client) => {
+        counts[client.type] = (counts[client.type] || 0) + 1;
+        return counts;
+      }, {}),
       payes: paidClients.length,
-      enAttente: clients.filter((c) => c.paiement === "En attente").length,
-      revenue: paidClients.reduce((total, client) => {
-        return total + (client.type === "couple" ? 5000 : 3000);
-      }, 0),
+      enAttente: clients.filter((c) =>
+        ["En attente", "À vérifier"].includes(c.paiement)
+      ).length,
+      revenue: clients.reduce(
+        (total, client) => total + eventInfo.clientRevenue(client, collected),
+        0
+      ),
       lastUpdate: new Date().toISOString(),
       synced: clients.filter((c) => c.synced).length,
       unsynced: clients.filter((c) => !c.synced).length,
@@ -926,7 +1530,7 @@ class EnhancedBilletDB {
 
   async createAutoBackup() {
     try {
-      const clients = await this.getAllClients();
+      const clients = await this.getAllRawClients();
       const payments = await this.getAllPayments();
 
       const backup = {
@@ -974,6 +1578,8 @@ class EnhancedBilletDB {
   cleanupLocalStorage() {
     const keysToKeep = [
       "bielleterie_device_id",
+      "bielleterie_sync_cursor",
+      "bielleterie_encryption",
       "bielleterie_encryption_key",
       "bielleterie_config",
       "bielleterie_auto_backup",
@@ -1033,7 +1639,12 @@ class EnhancedBilletDB {
   }
 
   generateClientId(type) {
-    const prefix = type === "couple" ? "CPL" : "UNI";
+    const ticketType = eventInfo.getTicketType(type);
+    const prefix = ticketType
+      ? ticketType.prefix
+      : type === "couple"
+      ? "CPL"
+      : "UNI";
     return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
@@ -1069,12 +1680,7 @@ class EnhancedBilletDB {
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
-        const client = request.result;
-        const decryptedClient =
-          this.encryptionKey && client
-            ? this.decryptSensitiveData(client)
-            : client;
-        resolve(decryptedClient);
+        this.decryptSensitiveData(request.result).then(resolve, reject);
       };
     });
   }
@@ -1092,9 +1698,25 @@ class EnhancedBilletDB {
     });
   }
 
+  // Statut selon payment-states.js : un paiement existant ne change d'état
+  // que par une transition permise (un remboursement reste définitif)
   async savePayment(payment) {
     await this.ensureConnection();
 
+    const status = PaymentStates.stateOf(payment.status || "pending");
+    if (!status) {
+      throw new Error(`Statut de paiement invalide: ${payment.status}`);
+    }
+    const existing = payment.id
+      ? await this.getRawRecord("payments", payment.id)
+      : null;
+    if (existing && !PaymentStates.canTransition(existing.status, status)) {
+      throw new Error(
+        `Transition de paiement impossible: ${existing.status} → ${status}`
+      );
+    }
+    payment.status = status;
+
     return new Promise((resolve, reject) => {
       if (!payment.id) {
         payment.id =
@@ -1105,6 +1727,11 @@ class EnhancedBilletDB {
         payment.timestamp = new Date().toISOString();
       }
 
+      // Nouveau paiement ou modifié : à renvoyer au serveur
+      payment.synced = false;
+      payment.syncedAt = null;
+      payment.lastUpdated = new Date().toISOString();
+
       const transaction = this.db.transaction(["payments"], "readwrite");
       const store = transaction.objectStore("payments");
       const request = store.put(payment);
@@ -1138,6 +1765,7 @@ class EnhancedBilletDB {
 
         localStorage.removeItem("bielleterie_clients_fallback");
         localStorage.removeItem("bielleterie_auto_backup");
+        localStorage.removeItem("bielleterie_sync_cursor");
 
         // Vider les files
         this.syncQueue = [];
@@ -1161,13 +1789,23 @@ class EnhancedBilletDB {
     });
   }
 
-  async exportToJSON() {
+  // eventId : export limité à un gala (sinon toute la base)
+  async exportToJSON(eventId = null) {
     await this.ensureConnection();
-    const clients = await this.getAllClients();
-    const payments = await this.getAllPayments();
+    if (this.isEncryptionLocked()) {
+      throw new Error("Déverrouillez les données chiffrées pour exporter");
+    }
+    const clients = eventId
+      ? await this.getClientsByEvent(eventId)
+      : await this.getAllClients();
+    const clientIds = new Set(clients.map((client) => client.id));
+    const payments = (await this.getAllPayments()).filter(
+      (payment) => !eventId || clientIds.has(payment.clientId)
+    );
 
     return {
       exportDate: new Date().toISOString(),
+      eventId,
       version: this.version,
       deviceId: this.getDeviceId(),
       clients: clients,
@@ -1245,8 +1883,14 @@ class EnhancedBilletDB {
     if (!backup) {
       throw new Error("Sauvegarde non trouvée");
     }
+    if (this.isEncryptionLocked()) {
+      throw new Error("Déverrouillez les données chiffrées pour restaurer");
+    }
 
-    const results = await this.batchSaveClients(backup.clients);
+    const clients = await Promise.all(
+      backup.clients.map((client) => this.decryptSensitiveData(client))
+    );
+    const results = await this.batchSaveClients(clients);
     this.metrics.recordBackup("restored");
 
     console.log("🔄 Sauvegarde restaurée:", results.success, "clients");
@@ -1286,12 +1930,19 @@ class EnhancedBilletDB {
 
   async restoreFromBackupIfNeeded() {
     try {
-      const clients = await this.getAllClients();
+      // Verrouillé : impossible de réécrire, on attendra le déverrouillage
+      if (this.isEncryptionLocked()) return;
+
+      const clients = await this.getAllRawClients();
 
       if (clients.length === 0) {
         console.log("🔄 Aucun client trouvé, tentative de restauration...");
 
-        const fallbackClients = this.getFallbackClients();
+        const fallbackClients = await Promise.all(
+          this.getFallbackClients().map((client) =>
+            this.decryptSensitiveData(client)
+          )
+        );
         if (fallbackClients.length > 0) {
           console.log(
             "✅ Restauration depuis fallback:",
@@ -1337,7 +1988,11 @@ class EnhancedBilletDB {
         deviceId: this.getDeviceId(),
         syncQueue: this.syncQueue.length,
         isSyncing: this.isSyncing,
-        encryption: !!this.encryptionKey,
+        encryption: this.isEncryptionConfigured()
+          ? this.cryptoKey
+            ? "AES-GCM (déverrouillé)"
+            : "AES-GCM (verrouillé)"
+          : false,
         lastClient: clients.length > 0 ? clients[clients.length - 1] : null,
         localStorageBackup: localStorageBackup
           ? localStorageBackup.clients.length
@@ -1393,6 +2048,7 @@ class EnhancedBilletDB {
       this.initializationPromise = null;
       this.syncQueue = [];
       this.isSyncing = false;
+      localStorage.removeItem("bielleterie_sync_cursor");
 
       const request = indexedDB.deleteDatabase(this.dbName);
 
@@ -1436,7 +2092,7 @@ class EnhancedBilletDB {
 
   async createBackup() {
     await this.ensureConnection();
-    const clients = await this.getAllClients();
+    const clients = await this.getAllRawClients();
     const payments = await this.getAllPayments();
 
     const backup = {
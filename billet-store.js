@@ -0,0 +1,2001 @@
+// billet-store.js - Stockage serveur des inscriptions (fichier JSON, écritures atomiques)
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const PaymentStates = require("./payment-states");
+const PaymentReference = require("./payment-reference");
+
+// Types de billet sans configuration d'événement (stockage seul)
+const DEFAULT_TICKET_TYPES = {
+  unite: { seats: 1, guests: 1, prefix: "UNI", capacity: null },
+  couple: { seats: 2, guests: 2, prefix: "CPL", capacity: null },
+};
+const VALID_PAYMENT_STATUSES = PaymentStates.labels();
+// Statuts qui libèrent la place réservée à l'inscription
+const RELEASED_STATUSES = ["Échec", "Annulé", "Remboursé", "Expiré"];
+// Durée maximale d'une réservation non payée (event-config.js, prolongation)
+const MAX_HOLD_MINUTES = 7 * 24 * 60;
+// Une demande de paiement chez le prestataire suspend l'expiration de la
+// réservation pendant ce délai, le temps que sa notification arrive
+const PROVIDER_PAYMENT_TIMEOUT = 60 * 60 * 1000; // 1 heure
+// Délai pour réclamer une place proposée à la liste d'attente, en heures
+const DEFAULT_OFFER_HOURS = 24;
+const MAX_OFFER_HOURS = 7 * 24;
+const MAX_WAITLIST_NAME_LENGTH = 100;
+const IDEMPOTENCY_TTL = 30 * 24 * 60 * 60 * 1000; // 30 jours
+const MAX_BATCH_SIZE = 200;
+const MAX_CHANGES_KEPT = 5000;
+const MAX_ANSWER_LENGTH = 500;
+const EDITABLE_FIELDS = [
+  "nom1",
+  "nom2",
+  "guestNames",
+  "answers",
+  "email",
+  "phone",
+  "type",
+  "paiement",
+  "paymentMethod",
+  "paymentDate",
+];
+// Seuls champs modifiables par le rôle caissier
+const PAYMENT_FIELDS = ["paiement", "paymentMethod", "paymentDate"];
+const PROMO_KINDS = ["percent", "fixed"];
+// Issue rapportée par la page d'achat → statut de l'inscription. L'acheteur
+// déclare avoir payé ; seul un administrateur confirme l'encaissement.
+const PAYMENT_REPORTS = {
+  awaiting_verification: "À vérifier",
+  success: "À vérifier", // pages d'achat antérieures à la vérification
+  cancelled: "Annulé",
+  failed: "Échec",
+};
+// Notification du prestataire de paiement → statut de l'inscription
+const WEBHOOK_EVENTS = {
+  "payment.succeeded": "Payé",
+  "payment.failed": "Échec",
+  "payment.cancelled": "Annulé",
+  "payment.refunded": "Remboursé",
+};
+const AMOUNT_TOLERANCE = 0.005;
+
+// Erreur métier avec code HTTP associé
+class StoreError extends Error {
+  constructor(message, status = 400, code = "invalid_request") {
+    super(message);
+    this.name = "StoreError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class BilletStore extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.data = null;
+    this.pendingChanges = [];
+    this.eventConfig = null;
+  }
+
+  // Source des événements, tarifs et capacités (EventConfig) ; sans elle, aucune limite.
+  // Les enregistrements antérieurs au multi-événement sont rattachés à
+  // l'événement en vente (et les inscriptions reçoivent leur référence de
+  // paiement), puis diffusés pour mettre à jour les caches admin.
+  setEventConfig(eventConfig) {
+    this.eventConfig = eventConfig;
+    this.load();
+
+    const eventId = eventConfig.getCurrentEventId();
+    let migrated = 0;
+    Object.values(this.data.clients).forEach((client) => {
+      if (client.eventId && client.paymentReference) return;
+      client.eventId = client.eventId || eventId;
+      client.paymentReference =
+        client.paymentReference || PaymentReference.fromClientId(client.id);
+      this.recordChange("client", "updated", client.id);
+      migrated++;
+    });
+    Object.values(this.data.payments).forEach((payment) => {
+      if (payment.eventId) return;
+      const client = this.data.clients[payment.clientId];
+      payment.eventId = client ? client.eventId : eventId;
+      this.recordChange("payment", "updated", payment.id);
+      migrated++;
+    });
+
+    if (migrated > 0) {
+      this.persist();
+      console.log(`🔄 ${migrated} enregistrements rattachés à ${eventId}`);
+    }
+  }
+
+  // Sans identifiant : événement en vente ; identifiant inconnu : 404
+  resolveEventId(eventId) {
+    if (!this.eventConfig) return eventId || null;
+    return this.eventConfig.getEvent(eventId).id;
+  }
+
+  // { unite: { label, price, seats, guests, prefix, capacity }, ... }
+  ticketTypes(eventId) {
+    if (!this.eventConfig) return DEFAULT_TICKET_TYPES;
+    return this.eventConfig.getEvent(eventId).ticketTypes;
+  }
+
+  // ==================== CHARGEMENT / PERSISTANCE ====================
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      this.data = JSON.parse(raw);
+      console.log("✅ Données chargées:", this.filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("❌ Erreur lecture du stockage:", error);
+        throw error;
+      }
+      console.log("🆕 Nouveau fichier de données:", this.filePath);
+      this.data = {};
+    }
+
+    this.data.clients = this.data.clients || {};
+    this.data.payments = this.data.payments || {};
+    this.data.idempotency = this.data.idempotency || {};
+    this.data.promoCodes = this.data.promoCodes || {};
+    this.data.waitlist = this.data.waitlist || {};
+    this.data.changes = this.data.changes || [];
+    this.data.seq = this.data.seq || 0;
+    this.data.version = 1;
+    return this.data;
+  }
+
+  // Écriture atomique : fichier temporaire + fsync + rename
+  persist() {
+    const dir = path.dirname(this.filePath);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify(this.data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+
+    // Les abonnés (flux SSE) ne sont prévenus qu'une fois l'écriture durable
+    const changes = this.pendingChanges;
+    this.pendingChanges = [];
+    changes.forEach((change) => this.emit("change", this.withRecord(change)));
+  }
+
+  // ==================== CLIENTS ====================
+  listClients(filters = {}) {
+    this.load();
+    let clients = Object.values(this.data.clients);
+
+    if (filters.eventId) {
+      clients = clients.filter((client) => client.eventId === filters.eventId);
+    }
+    if (filters.type) {
+      clients = clients.filter((client) => client.type === filters.type);
+    }
+    if (filters.paiement) {
+      clients = clients.filter(
+        (client) => client.paiement === filters.paiement
+      );
+    }
+    if (filters.search) {
+      const term = filters.search.toLowerCase();
+      const reference = PaymentReference.compact(filters.search);
+      clients = clients.filter(
+        (client) =>
+          [
+            client.nom1,
+            client.nom2,
+            client.email,
+            client.phone,
+            client.id,
+          ].some((value) => value && value.toLowerCase().includes(term)) ||
+          (reference.length >= 4 &&
+            PaymentReference.compact(client.paymentReference).includes(
+              reference
+            ))
+      );
+    }
+
+    return clients.sort(
+      (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+    );
+  }
+
+  getClient(id) {
+    this.load();
+    return this.data.clients[id] || null;
+  }
+
+  // Référence saisie librement (casse, tirets, O/0...) ; null si invalide ou inconnue
+  findByPaymentReference(input) {
+    this.load();
+    const reference = PaymentReference.parse(input);
+    if (!reference) return null;
+    return (
+      Object.values(this.data.clients).find(
+        (client) => client.paymentReference === reference
+      ) || null
+    );
+  }
+
+  createClient(input, context = {}) {
+    this.load();
+    const record = this.buildClientRecord(input, context);
+
+    this.data.clients[record.id] = record;
+    this.claimWaitlistOffer(record);
+    this.recordChange("client", "created", record.id);
+    this.persist();
+
+    console.log("✅ Inscription enregistrée:", record.id);
+    return record;
+  }
+
+  buildClientRecord(input, context = {}) {
+    const client = this.normalizeClient(input);
+    const eventId = this.resolveEventId(input.eventId);
+    this.validateClient({ ...client, eventId });
+    client.answers = this.pickAnswers(eventId, client.type, client.answers);
+
+    // Un identifiant dont la référence de paiement est déjà prise est remplacé
+    while (
+      !client.id ||
+      this.data.clients[client.id] ||
+      this.findByPaymentReference(PaymentReference.fromClientId(client.id))
+    ) {
+      client.id = this.generateClientId(eventId, client.type);
+    }
+
+    // Lien de la liste d'attente : la place tenue par l'offre revient à
+    // cette inscription, même si le billet est complet
+    const offer = input.waitlistToken
+      ? this.getWaitlistOffer(input.waitlistToken)
+      : null;
+    if (offer && (offer.eventId !== eventId || offer.type !== client.type)) {
+      throw new StoreError("Cette offre concerne un autre billet");
+    }
+    this.assertAvailable(eventId, client.type, offer ? offer.id : null);
+
+    const now = new Date().toISOString();
+    return {
+      ...client,
+      timestamp: client.timestamp || now,
+      paiement: "En attente",
+      paymentDate: null,
+      holdExpiresAt: this.holdDeadline(eventId),
+      waitlistId: offer ? offer.id : null,
+      paymentReference: PaymentReference.fromClientId(client.id),
+      eventId,
+      ...this.quote(eventId, client.type, input.promoCode),
+      page: input.page || client.type,
+      userAgent: input.userAgent || context.userAgent || "",
+      deviceId: input.deviceId || null,
+      deviceInfo: input.deviceInfo || null,
+      ip: context.ip || "unknown",
+      createdAt: now,
+      lastUpdated: now,
+      version: 1,
+    };
+  }
+
+  // allowedFields restreint les champs modifiables (ex. PAYMENT_FIELDS pour un caissier)
+  updateClient(id, changes, allowedFields = EDITABLE_FIELDS) {
+    this.load();
+    const existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+
+    const forbidden = EDITABLE_FIELDS.filter(
+      (field) =>
+        changes[field] !== undefined &&
+        !allowedFields.includes(field) &&
+        changes[field] !== existing[field]
+    );
+    if (forbidden.length > 0) {
+      throw new StoreError(
+        `Modification non autorisée: ${forbidden.join(", ")}`,
+        403,
+        "forbidden"
+      );
+    }
+
+    const updates = {};
+    allowedFields.forEach((field) => {
+      if (changes[field] !== undefined) {
+        updates[field] =
+          typeof changes[field] === "string"
+            ? changes[field].trim()
+            : changes[field];
+      }
+    });
+
+    const updated = { ...existing, ...updates };
+    this.validateClient(updated);
+    if (this.takesNewSeat(existing, updated)) {
+      this.assertAvailable(updated.eventId, updated.type, id);
+    }
+    this.applyPaymentTransition(existing, updated);
+
+    updated.lastUpdated = new Date().toISOString();
+    updated.version = (existing.version || 1) + 1;
+
+    this.data.clients[id] = updated;
+    this.recordChange("client", "updated", id);
+    this.persist();
+
+    console.log("✅ Inscription mise à jour:", id);
+    return updated;
+  }
+
+  // Issue du paiement rapportée par la page d'achat : seule une inscription
+  // en attente change d'état ; un rapport répété, ou une déclaration de
+  // paiement déjà confirmé par un administrateur, la renvoie telle quelle.
+  reportPayment(id, report = {}) {
+    this.load();
+    let existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+
+    const paiement = PAYMENT_REPORTS[report.status];
+    if (!paiement) {
+      throw new StoreError("Statut de paiement invalide");
+    }
+    // Paiement déclaré après l'expiration : repris si la place est libre
+    if (paiement === "À vérifier" && existing.paiement === "Expiré") {
+      existing = this.resumeHold(id);
+    }
+    if (
+      existing.paiement === paiement ||
+      (paiement === "À vérifier" && existing.paiement === "Payé")
+    ) {
+      return existing;
+    }
+    if (existing.paiement !== "En attente") {
+      throw new StoreError("Paiement déjà clôturé", 409, "payment_closed");
+    }
+
+    const changes = { paiement };
+    if (report.method)
+      changes.paymentMethod = String(report.method).slice(0, 50);
+    return this.updateClient(id, changes, PAYMENT_FIELDS);
+  }
+
+  // Décision d'un administrateur sur un paiement en attente ou déclaré par
+  // l'acheteur : confirmé → « Payé » (paiement encaissé), rejeté → « Échec »
+  verifyPayment(id, approved, by) {
+    this.load();
+    const existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    if (!["En attente", "À vérifier"].includes(existing.paiement)) {
+      throw new StoreError("Aucun paiement à vérifier", 409, "payment_closed");
+    }
+
+    const now = new Date().toISOString();
+    const updated = {
+      ...existing,
+      paiement: approved ? "Payé" : "Échec",
+      paymentVerifiedBy: by || null,
+      paymentVerifiedAt: now,
+      lastUpdated: now,
+      version: (existing.version || 1) + 1,
+    };
+    this.applyPaymentTransition(existing, updated);
+
+    this.data.clients[id] = updated;
+    this.recordChange("client", "updated", id);
+    this.persist();
+
+    console.log(approved ? "✅ Paiement confirmé:" : "❌ Paiement rejeté:", id);
+    return updated;
+  }
+
+  // Enregistre l'entrée d'un invité ; un second passage est signalé, pas écrasé.
+  // at : heure du scan hors ligne (file d'attente d'un appareil de contrôle)
+  checkInClient(id, by, at = null) {
+    this.load();
+    const existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+
+    if (existing.checkedInAt) {
+      return { client: existing, duplicate: true };
+    }
+    const now = new Date();
+    const scannedAt =
+      this.isValidDate(at) && new Date(at) <= now ? new Date(at) : now;
+    const updated = {
+      ...existing,
+      checkedInAt: scannedAt.toISOString(),
+      checkedInBy: by || null,
+      lastUpdated: new Date().toISOString(),
+      version: (existing.version || 1) + 1,
+    };
+
+    this.data.clients[id] = updated;
+    this.recordChange("client", "updated", id);
+    this.persist();
+
+    console.log("🎟️ Entrée enregistrée:", id);
+    return { client: updated, duplicate: false };
+  }
+
+  deleteClient(id) {
+    this.load();
+    if (!this.data.clients[id]) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+
+    delete this.data.clients[id];
+    this.recordChange("client", "deleted", id);
+    this.persist();
+
+    console.log("🗑️ Inscription supprimée:", id);
+    return true;
+  }
+
+  // Entrées scannées par un appareil de contrôle, éventuellement hors ligne.
+  // Un résultat par entrée : duplicate signale un invité déjà entré (autre porte).
+  checkInBatch(checkins, by) {
+    if (!Array.isArray(checkins) || checkins.length > MAX_BATCH_SIZE) {
+      throw new StoreError(`Lot invalide (max ${MAX_BATCH_SIZE} entrées)`);
+    }
+
+    return checkins.map((checkin) => {
+      const clientId = checkin && checkin.clientId;
+      try {
+        const { client, duplicate } = this.checkInClient(
+          clientId,
+          by,
+          checkin.checkedInAt
+        );
+        return {
+          clientId,
+          ok: true,
+          duplicate,
+          checkedInAt: client.checkedInAt,
+          checkedInBy: client.checkedInBy,
+        };
+      } catch (error) {
+        if (!(error instanceof StoreError)) throw error;
+        return { clientId, ok: false, error: error.message, code: error.code };
+      }
+    });
+  }
+
+  // ==================== SYNCHRONISATION PAR LOTS ====================
+  // Chaque élément porte une clé d'idempotence : un lot rejoué (réseau coupé
+  // avant la réponse) renvoie les mêmes accusés sans dupliquer les données.
+  applySyncBatch(batch, context = {}) {
+    this.load();
+
+    const clientItems = Array.isArray(batch.clients) ? batch.clients : [];
+    const paymentItems = Array.isArray(batch.payments) ? batch.payments : [];
+
+    if (clientItems.length + paymentItems.length > MAX_BATCH_SIZE) {
+      throw new StoreError(
+        `Lot trop volumineux (max ${MAX_BATCH_SIZE} éléments)`,
+        413,
+        "batch_too_large"
+      );
+    }
+
+    const deviceId = batch.deviceId || null;
+    // Client accepté : version du serveur, base de la prochaine modification
+    const acks = {
+      clients: clientItems.map((item) => {
+        const ack = this.applySyncItem(item, (record) =>
+          this.syncClientRecord(record, deviceId, context)
+        );
+        return ack.status === "accepted"
+          ? { ...ack, version: this.data.clients[ack.id].version }
+          : ack;
+      }),
+      payments: paymentItems.map((item) =>
+        this.applySyncItem(item, (record) =>
+          this.syncPaymentRecord(record, context)
+        )
+      ),
+    };
+
+    this.pruneIdempotencyKeys();
+    this.persist();
+
+    return acks;
+  }
+
+  applySyncItem(item, apply) {
+    const key = item && item.idempotencyKey;
+    const recordId = item && item.record && item.record.id;
+
+    if (!key || !recordId) {
+      return {
+        id: recordId || null,
+        idempotencyKey: key || null,
+        status: "rejected",
+        error: "Clé d'idempotence ou identifiant manquant",
+      };
+    }
+
+    const previous = this.data.idempotency[key];
+    if (previous) {
+      return { id: previous.id, idempotencyKey: key, status: "duplicate" };
+    }
+
+    try {
+      const id = apply(item.record);
+      this.data.idempotency[key] = { id, at: Date.now() };
+      return { id, idempotencyKey: key, status: "accepted" };
+    } catch (error) {
+      return {
+        id: recordId,
+        idempotencyKey: key,
+        status: "rejected",
+        error: error.message,
+        code: error.code,
+      };
+    }
+  }
+
+  // Champs qu'un lot peut écrire : tous pour un administrateur
+  // (registrations:write), ceux de son rôle pour un caissier comme PATCH
+  // /api/registrations/:id (context.allowedFields), aucun champ de paiement
+  // pour un appareil sans session : seul un administrateur confirme un paiement
+  syncableFields(context = {}) {
+    if (context.isAdmin) return EDITABLE_FIELDS;
+    if (context.allowedFields) return context.allowedFields;
+    return EDITABLE_FIELDS.filter((field) => !PAYMENT_FIELDS.includes(field));
+  }
+
+  syncClientRecord(input, deviceId, context = {}) {
+    const existing = this.data.clients[input.id];
+    const fields = this.syncableFields(context);
+
+    if (!existing) {
+      const record = this.buildClientRecord(
+        { ...input, deviceId: input.deviceId || deviceId },
+        context
+      );
+      if (record.id !== input.id) {
+        throw new StoreError("Identifiant client invalide");
+      }
+      if (
+        fields.includes("paiement") &&
+        VALID_PAYMENT_STATUSES.includes(input.paiement) &&
+        PaymentStates.canTransition(record.paiement, input.paiement)
+      ) {
+        record.paiement = input.paiement;
+        record.paymentDate = input.paymentDate || null;
+        if (record.paiement !== "En attente") record.holdExpiresAt = null;
+      }
+      this.data.clients[record.id] = record;
+      this.claimWaitlistOffer(record);
+      this.recordChange("client", "created", record.id);
+      return record.id;
+    }
+
+    // Inscription créée en ligne (sans appareil) ou par un autre appareil :
+    // seul un administrateur la modifie par synchronisation
+    if (
+      !context.isAdmin &&
+      (!existing.deviceId || existing.deviceId !== deviceId)
+    ) {
+      throw new StoreError(
+        "Client enregistré par un autre appareil",
+        403,
+        "forbidden"
+      );
+    }
+
+    // version : celle du serveur sur laquelle l'appareil a fait sa
+    // modification. Modifiée depuis par un autre (admin, autre appareil), la
+    // modification arrive trop tard et est simplement acquittée. L'horloge de
+    // l'appareil ne compte pas : lastUpdated est l'heure du serveur.
+    const baseVersion = Number(input.version) || 1;
+    if (baseVersion >= (existing.version || 1)) {
+      const updated = { ...existing };
+      fields.forEach((field) => {
+        if (input[field] !== undefined) updated[field] = input[field];
+      });
+      this.validateClient(updated);
+      if (this.takesNewSeat(existing, updated)) {
+        this.assertAvailable(updated.eventId, updated.type, existing.id);
+      }
+      this.applyPaymentTransition(existing, updated);
+      updated.lastUpdated = new Date().toISOString();
+      updated.version = (existing.version || 1) + 1;
+      this.data.clients[existing.id] = updated;
+      this.recordChange("client", "updated", existing.id);
+    }
+
+    return existing.id;
+  }
+
+  syncPaymentRecord(input, context = {}) {
+    if (!this.syncableFields(context).includes("paiement")) {
+      throw new StoreError("Paiement non autorisé", 403, "forbidden");
+    }
+    if (!this.data.clients[input.clientId]) {
+      throw new StoreError("Client inconnu pour ce paiement", 404, "not_found");
+    }
+
+    const amount = Number(input.amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new StoreError("Montant invalide");
+    }
+
+    const status = PaymentStates.stateOf(input.status || "pending");
+    if (!status) {
+      throw new StoreError("Statut de paiement invalide");
+    }
+    const existing = this.data.payments[input.id];
+    if (existing && !PaymentStates.canTransition(existing.status, status)) {
+      throw new StoreError(
+        `Transition de paiement impossible: ${existing.status} → ${status}`,
+        409,
+        "invalid_transition"
+      );
+    }
+    this.data.payments[input.id] = {
+      ...existing,
+      id: input.id,
+      clientId: input.clientId,
+      amount,
+      status,
+      method: String(input.method || "inconnu"),
+      type: input.type || this.data.clients[input.clientId].type,
+      eventId: this.data.clients[input.clientId].eventId || null,
+      timestamp: this.isValidDate(input.timestamp)
+        ? input.timestamp
+        : new Date().toISOString(),
+      receivedAt: new Date().toISOString(),
+    };
+    this.recordChange("payment", existing ? "updated" : "created", input.id);
+
+    return input.id;
+  }
+
+  // ==================== TARIFS ET PAIEMENTS ====================
+  // Le montant est figé à l'inscription : un changement de prix ultérieur
+  // ne modifie pas ce que doivent les inscrits existants.
+  pricing(eventId, type) {
+    if (!this.eventConfig) return { amount: null, currency: null };
+    return {
+      amount: this.eventConfig.getPrice(eventId, type),
+      currency: this.eventConfig.getEvent(eventId).currency,
+    };
+  }
+
+  // Changement de statut selon payment-states.js. Passage à « Payé » :
+  // enregistre le paiement encaissé au montant facturé (paymentFields :
+  // détails fournis par le prestataire) ; « Remboursé » le retire du chiffre
+  // d'affaires. Un changement de type avant paiement applique le tarif du
+  // nouveau type.
+  applyPaymentTransition(existing, updated, paymentFields = {}) {
+    const from = existing.paiement || "En attente";
+    const to = updated.paiement || "En attente";
+    if (!PaymentStates.canTransition(from, to)) {
+      throw new StoreError(
+        `Transition de paiement impossible: ${from} → ${to}`,
+        409,
+        "invalid_transition"
+      );
+    }
+
+    if (existing.type !== updated.type && existing.paiement !== "Payé") {
+      Object.assign(updated, this.requote(updated));
+    }
+    // La place n'est réservée que tant que le paiement est attendu
+    if (to !== "En attente") {
+      updated.holdExpiresAt = null;
+    } else if (from !== "En attente") {
+      updated.holdExpiresAt = this.holdDeadline(updated.eventId);
+    }
+    if (to === "Remboursé" && from !== "Remboursé") {
+      this.refundPayments(updated.id);
+      return;
+    }
+
+    // Le paiement déclaré (justificatif) suit la décision prise sur l'inscription
+    const open = this.openPayment(updated.id);
+    if (open && RELEASED_STATUSES.includes(to)) {
+      open.status = PaymentStates.stateOf(to);
+      this.recordChange("payment", "updated", open.id);
+    }
+    if (updated.paiement !== "Payé" || existing.paiement === "Payé") return;
+
+    const payment = this.buildPaymentRecord(updated, open, {
+      status: "paid",
+      method: updated.paymentMethod || (open && open.method) || "manuel",
+      ...paymentFields,
+    });
+    updated.paymentDate = updated.paymentDate || payment.receivedAt;
+    this.data.payments[payment.id] = payment;
+    this.recordChange("payment", open ? "updated" : "created", payment.id);
+  }
+
+  // Montant facturé à l'inscription, tarif actuel à défaut
+  amountDue(client) {
+    const pricing = this.pricing(client.eventId, client.type);
+    return {
+      amount:
+        client.amount !== null && client.amount !== undefined
+          ? client.amount
+          : pricing.amount || 0,
+      currency: client.currency || pricing.currency,
+    };
+  }
+
+  buildPaymentRecord(client, previous, fields) {
+    const { amount, currency } = this.amountDue(client);
+    const now = new Date().toISOString();
+    return {
+      ...previous,
+      id: previous
+        ? previous.id
+        : `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      clientId: client.id,
+      eventId: client.eventId || null,
+      amount,
+      currency,
+      promoCode: client.promoCode || null,
+      discount: client.discount || 0,
+      type: client.type,
+      timestamp: previous ? previous.timestamp : now,
+      receivedAt: now,
+      ...fields,
+    };
+  }
+
+  // Paiement déclaré par l'acheteur et pas encore tranché (le plus récent)
+  openPayment(clientId) {
+    return (
+      Object.values(this.data.payments)
+        .filter(
+          (payment) =>
+            payment.clientId === clientId &&
+            ["pending", "awaiting_verification"].includes(
+              PaymentStates.stateOf(payment.status)
+            )
+        )
+        .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1))[0] || null
+    );
+  }
+
+  getPayment(id) {
+    this.load();
+    return this.data.payments[id] || null;
+  }
+
+  // Justificatif de virement déposé par l'acheteur (payment-proofs.js) :
+  // l'inscription passe « À vérifier » et le paiement déclaré porte le
+  // justificatif jusqu'à la décision d'un administrateur. Un nouveau dépôt
+  // remplace le précédent ; replaced : fichier à supprimer.
+  submitPaymentProof(id, declaration, proof) {
+    this.load();
+    let existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    if (existing.paiement === "Expiré") existing = this.resumeHold(id);
+    if (!["En attente", "À vérifier"].includes(existing.paiement)) {
+      throw new StoreError("Paiement déjà clôturé", 409, "payment_closed");
+    }
+
+    const senderName = String(declaration.senderName || "").trim();
+    if (!senderName || senderName.length > 100) {
+      throw new StoreError("Nom de l'émetteur du virement requis");
+    }
+    const transferredAt = this.isValidDate(declaration.transferredAt)
+      ? new Date(declaration.transferredAt)
+      : null;
+    if (!transferredAt || transferredAt.getTime() > Date.now() + 5 * 60000) {
+      throw new StoreError("Heure du virement invalide");
+    }
+
+    const now = new Date().toISOString();
+    const open = this.openPayment(id);
+    const method = String(
+      declaration.method || existing.paymentMethod || "virement"
+    ).slice(0, 50);
+    const updated = {
+      ...existing,
+      paiement: "À vérifier",
+      paymentMethod: method,
+      lastUpdated: now,
+      version: (existing.version || 1) + 1,
+    };
+    this.applyPaymentTransition(existing, updated);
+
+    const payment = this.buildPaymentRecord(updated, open, {
+      status: "awaiting_verification",
+      method,
+      senderName,
+      transferredAt: transferredAt.toISOString(),
+      proof: { ...proof, uploadedAt: now },
+    });
+    this.data.payments[payment.id] = payment;
+    this.recordChange("payment", open ? "updated" : "created", payment.id);
+    this.data.clients[id] = updated;
+    this.recordChange("client", "updated", id);
+    this.persist();
+
+    console.log("🧾 Justificatif de paiement reçu:", id);
+    return {
+      client: updated,
+      payment,
+      replaced: open && open.proof ? open.proof.file : null,
+    };
+  }
+
+  // File de vérification : inscriptions « À vérifier » et leur paiement déclaré
+  listPaymentReviews(eventId) {
+    return this.listClients({ eventId, paiement: "À vérifier" }).map(
+      (client) => ({ client, payment: this.openPayment(client.id) })
+    );
+  }
+
+  // Demande de paiement envoyée à un prestataire (paiement mobile) : le
+  // paiement reste « pending » jusqu'à la notification du résultat
+  openProviderPayment(id, fields) {
+    this.load();
+    const existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    if (existing.paiement !== "En attente") {
+      throw new StoreError("Paiement déjà clôturé", 409, "payment_closed");
+    }
+
+    const now = new Date().toISOString();
+    const open = this.openPayment(id);
+    const updated = {
+      ...existing,
+      paymentMethod: fields.method,
+      lastUpdated: now,
+      version: (existing.version || 1) + 1,
+    };
+    const payment = this.buildPaymentRecord(updated, open, {
+      status: "pending",
+      ...fields,
+    });
+    this.data.payments[payment.id] = payment;
+    this.recordChange("payment", open ? "updated" : "created", payment.id);
+    this.data.clients[id] = updated;
+    this.recordChange("client", "updated", id);
+    this.persist();
+
+    console.log("📱 Demande de paiement envoyée:", id, fields.method);
+    return { client: updated, payment };
+  }
+
+  // ==================== NOTIFICATIONS DU PRESTATAIRE ====================
+  // Notification dont la signature a été vérifiée (payment-webhooks.js) :
+  // { id, type: payment.succeeded | failed | cancelled | refunded,
+  //   data: { clientId ou reference, amount, currency, providerPaymentId, method } }.
+  // L'identifiant sert de clé d'idempotence : un rejeu ne modifie rien.
+  // Un encaissement d'un autre montant ou d'une autre devise n'est pas
+  // confirmé : l'inscription passe « À vérifier » pour un administrateur.
+  // Une notification signée qui ne peut pas s'appliquer (client inconnu,
+  // transition impossible) est acquittée « ignored » avec sa raison : une
+  // erreur la ferait renvoyer sans fin par le prestataire.
+  // status : updated | unchanged | duplicate | ignored
+  applyPaymentWebhook(notification) {
+    this.load();
+    const notificationId = String(notification.id || "");
+    if (!notificationId || notificationId.length > 100) {
+      throw new StoreError("Identifiant de notification manquant");
+    }
+
+    const key = `webhook:${notificationId}`;
+    const previous = this.data.idempotency[key];
+    if (previous) {
+      return {
+        client: this.data.clients[previous.id] || null,
+        status: "duplicate",
+      };
+    }
+    const paiement = WEBHOOK_EVENTS[notification.type];
+    if (!paiement) return { client: null, status: "ignored" };
+
+    const data = notification.data || {};
+    const existing =
+      (data.clientId && this.data.clients[data.clientId]) ||
+      (data.reference && this.findByPaymentReference(data.reference));
+    const ignore = (reason) => {
+      console.warn(
+        "⚠️ Notification de paiement ignorée:",
+        notificationId,
+        reason
+      );
+      this.data.idempotency[key] = {
+        id: existing ? existing.id : null,
+        at: Date.now(),
+      };
+      this.pruneIdempotencyKeys();
+      this.persist();
+      return { client: existing || null, status: "ignored", reason };
+    };
+    if (!existing) return ignore("Client non trouvé");
+
+    const due = this.amountDue(existing);
+    const received = Number(data.amount);
+    const expected =
+      Math.abs(received - due.amount) < AMOUNT_TOLERANCE &&
+      (!data.currency || !due.currency || data.currency === due.currency);
+    let target = paiement === "Payé" && !expected ? "À vérifier" : paiement;
+
+    // Encaissé après l'expiration de la réservation : elle reprend si la
+    // place est encore libre, sinon un administrateur tranche (« À vérifier »).
+    // Encaissé sur une inscription annulée ou échouée : toujours « À vérifier ».
+    let source = existing;
+    if (
+      ["Expiré", "Échec", "Annulé"].includes(existing.paiement) &&
+      ["Payé", "À vérifier"].includes(target)
+    ) {
+      source = { ...existing, paiement: "En attente" };
+      if (existing.paiement !== "Expiré" || this.isSoldOut(existing)) {
+        target = "À vérifier";
+      }
+    }
+    if (!PaymentStates.canTransition(source.paiement, target)) {
+      return ignore(
+        `Transition de paiement impossible: ${existing.paiement} → ${target}`
+      );
+    }
+
+    let status = "unchanged";
+    if (existing.paiement !== target) {
+      const now = new Date().toISOString();
+      const method = String(
+        data.method || existing.paymentMethod || "en ligne"
+      ).slice(0, 50);
+      const paymentFields = {
+        method,
+        providerPaymentId: String(data.providerPaymentId || "").slice(0, 100),
+        receivedAmount: Number.isFinite(received) ? received : null,
+        receivedCurrency: data.currency
+          ? String(data.currency).slice(0, 10)
+          : null,
+      };
+      const updated = {
+        ...existing,
+        paiement: target,
+        paymentMethod: method,
+        lastUpdated: now,
+        version: (existing.version || 1) + 1,
+      };
+      if (target === "Payé") {
+        updated.paymentVerifiedBy = "prestataire";
+        updated.paymentVerifiedAt = now;
+      }
+      this.applyPaymentTransition(source, updated, paymentFields);
+
+      if (target === "À vérifier") {
+        const open = this.openPayment(existing.id);
+        const payment = this.buildPaymentRecord(updated, open, {
+          status: "awaiting_verification",
+          ...paymentFields,
+        });
+        this.data.payments[payment.id] = payment;
+        this.recordChange("payment", open ? "updated" : "created", payment.id);
+        console.log(
+          "⚠️ Montant reçu différent du montant dû:",
+          existing.id,
+          received,
+          due.amount
+        );
+      }
+
+      this.data.clients[existing.id] = updated;
+      this.recordChange("client", "updated", existing.id);
+      status = "updated";
+    }
+
+    this.data.idempotency[key] = { id: existing.id, at: Date.now() };
+    this.pruneIdempotencyKeys();
+    this.persist();
+
+    console.log("🔔 Notification de paiement:", notification.type, existing.id);
+    return { client: this.data.clients[existing.id], status };
+  }
+
+  refundPayments(clientId) {
+    const now = new Date().toISOString();
+    Object.values(this.data.payments)
+      .filter(
+        (payment) =>
+          payment.clientId === clientId &&
+          PaymentStates.stateOf(payment.status) === "paid"
+      )
+      .forEach((payment) => {
+        payment.status = "refunded";
+        payment.refundedAt = now;
+        this.recordChange("payment", "updated", payment.id);
+      });
+  }
+
+  // Nouveau type avant paiement : le code promo est conservé s'il s'applique
+  // encore au nouveau type, sinon le plein tarif s'applique.
+  requote(client) {
+    try {
+      return this.quote(
+        client.eventId,
+        client.type,
+        client.promoCode,
+        client.id
+      );
+    } catch (error) {
+      if (!(error instanceof StoreError)) throw error;
+      return this.quote(client.eventId, client.type);
+    }
+  }
+
+  pruneIdempotencyKeys() {
+    const limit = Date.now() - IDEMPOTENCY_TTL;
+    Object.keys(this.data.idempotency).forEach((key) => {
+      if (this.data.idempotency[key].at < limit) {
+        delete this.data.idempotency[key];
+      }
+    });
+  }
+
+  // ==================== RÉSERVATIONS ====================
+  // Une inscription « En attente » garde sa place holdMinutes (event-config.js,
+  // null : sans limite) ; passé ce délai, expireHolds la marque « Expiré » et
+  // la place est rendue. from : début du délai (ms).
+  holdDeadline(eventId, minutes, from = Date.now()) {
+    const duration =
+      minutes !== undefined
+        ? minutes
+        : this.eventConfig
+        ? this.eventConfig.getEvent(eventId).holdMinutes
+        : null;
+    return duration ? new Date(from + duration * 60000).toISOString() : null;
+  }
+
+  // Appelé périodiquement par le serveur ; renvoie les inscriptions expirées.
+  // Une inscription dont le paiement est en cours chez le prestataire attend
+  // sa notification (PROVIDER_PAYMENT_TIMEOUT au plus).
+  expireHolds(now = Date.now()) {
+    this.load();
+    const expiredAt = new Date(now).toISOString();
+    const expired = Object.values(this.data.clients)
+      .filter(
+        (client) =>
+          client.paiement === "En attente" &&
+          client.holdExpiresAt &&
+          new Date(client.holdExpiresAt).getTime() <= now &&
+          !this.awaitsProvider(client, now)
+      )
+      .map((existing) => {
+        const updated = {
+          ...existing,
+          paiement: "Expiré",
+          holdExpiredAt: expiredAt,
+          lastUpdated: expiredAt,
+          version: (existing.version || 1) + 1,
+        };
+        this.applyPaymentTransition(existing, updated);
+        this.data.clients[existing.id] = updated;
+        this.recordChange("client", "updated", existing.id);
+        return updated;
+      });
+
+    if (expired.length > 0) {
+      this.persist();
+      console.log("⌛ Réservations expirées:", expired.length);
+    }
+    return expired;
+  }
+
+  // Demande envoyée au prestataire (openProviderPayment) sans résultat encore
+  awaitsProvider(client, now = Date.now()) {
+    const open = this.openPayment(client.id);
+    return Boolean(
+      open &&
+        open.providerPaymentId &&
+        PaymentStates.stateOf(open.status) === "pending" &&
+        now - new Date(open.receivedAt).getTime() < PROVIDER_PAYMENT_TIMEOUT
+    );
+  }
+
+  // Prolongation par un administrateur : minutes ajoutées à l'échéance
+  // (à maintenant si elle est passée). Une réservation expirée reprend si
+  // la place est encore libre.
+  extendHold(id, minutes) {
+    this.load();
+    const existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    const duration = Number(minutes);
+    if (
+      !Number.isInteger(duration) ||
+      duration < 1 ||
+      duration > MAX_HOLD_MINUTES
+    ) {
+      throw new StoreError("Durée de prolongation invalide");
+    }
+
+    const updated = this.reopenHold(existing);
+    const deadline =
+      existing.paiement === "En attente" && existing.holdExpiresAt
+        ? new Date(existing.holdExpiresAt).getTime()
+        : 0;
+    updated.holdExpiresAt = this.holdDeadline(
+      updated.eventId,
+      duration,
+      Math.max(Date.now(), deadline)
+    );
+    this.saveHold(updated);
+
+    console.log("⏳ Réservation prolongée:", id, updated.holdExpiresAt);
+    return updated;
+  }
+
+  // Reprise par l'acheteur (lien de l'email d'expiration) : nouvelle
+  // réservation de la durée de l'événement, si la place est encore libre
+  resumeHold(id) {
+    this.load();
+    const existing = this.data.clients[id];
+    if (!existing) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    if (existing.paiement === "En attente") return existing;
+
+    const updated = this.reopenHold(existing);
+    this.saveHold(updated);
+
+    console.log("🔁 Réservation reprise:", id);
+    return updated;
+  }
+
+  reopenHold(existing) {
+    if (!["En attente", "Expiré"].includes(existing.paiement)) {
+      throw new StoreError(
+        "Aucune réservation en cours",
+        409,
+        "payment_closed"
+      );
+    }
+    if (existing.paiement === "Expiré") {
+      this.assertAvailable(existing.eventId, existing.type, existing.id);
+    }
+
+    const updated = {
+      ...existing,
+      paiement: "En attente",
+      lastUpdated: new Date().toISOString(),
+      version: (existing.version || 1) + 1,
+    };
+    this.applyPaymentTransition(existing, updated);
+    return updated;
+  }
+
+  saveHold(updated) {
+    this.data.clients[updated.id] = updated;
+    this.recordChange("client", "updated", updated.id);
+    this.persist();
+  }
+
+  // ==================== CAPACITÉ ====================
+  // Toute inscription non annulée/échouée occupe sa place. La vérification et
+  // l'insertion se font dans le même appel synchrone : Node traitant une
+  // requête à la fois, deux acheteurs ne peuvent pas obtenir la dernière place.
+  holdsSeat(client) {
+    return !RELEASED_STATUSES.includes(client.paiement);
+  }
+
+  takesNewSeat(existing, updated) {
+    return (
+      this.holdsSeat(updated) &&
+      (!this.holdsSeat(existing) || existing.type !== updated.type)
+    );
+  }
+
+  // Par événement. excludeId : inscription (ou offre de la liste d'attente)
+  // en cours de modification, hors décompte. Une offre en cours tient sa place
+  // comme une inscription : offered, à côté de sold.
+  getAvailability(eventId, excludeId = null) {
+    this.load();
+    const config = this.eventConfig ? this.eventConfig.getEvent(eventId) : null;
+    const ticketTypes = config ? config.ticketTypes : DEFAULT_TICKET_TYPES;
+    const seatsOf = (type) =>
+      config && ticketTypes[type] ? ticketTypes[type].seats : 1;
+    const active = Object.values(this.data.clients).filter(
+      (client) =>
+        client.id !== excludeId &&
+        (!config || client.eventId === config.id) &&
+        this.holdsSeat(client)
+    );
+    const offers = Object.values(this.data.waitlist).filter(
+      (entry) =>
+        entry.id !== excludeId &&
+        (!config || entry.eventId === config.id) &&
+        entry.status === "offered"
+    );
+
+    const capacity = config ? config.capacity : null;
+    const usedSeats = [...active, ...offers].reduce(
+      (total, held) => total + seatsOf(held.type),
+      0
+    );
+    const remainingSeats =
+      capacity === null ? null : Math.max(0, capacity - usedSeats);
+
+    const types = {};
+    Object.keys(ticketTypes).forEach((type) => {
+      const typeCapacity = ticketTypes[type].capacity;
+      const sold = active.filter((client) => client.type === type).length;
+      const offered = offers.filter((entry) => entry.type === type).length;
+
+      let remaining =
+        typeCapacity === null
+          ? null
+          : Math.max(0, typeCapacity - sold - offered);
+      if (remainingSeats !== null) {
+        const bySeats = Math.floor(remainingSeats / seatsOf(type));
+        remaining = remaining === null ? bySeats : Math.min(remaining, bySeats);
+      }
+
+      types[type] = {
+        capacity: typeCapacity,
+        sold,
+        offered,
+        remaining,
+        soldOut: remaining === 0,
+      };
+    });
+
+    return {
+      eventId: config ? config.id : null,
+      capacity,
+      usedSeats,
+      remainingSeats,
+      soldOut: Object.values(types).every((type) => type.soldOut),
+      types,
+    };
+  }
+
+  // Plus de place pour le billet de cette inscription, elle exclue du décompte
+  isSoldOut(client) {
+    const availability = this.getAvailability(client.eventId, client.id).types[
+      client.type
+    ];
+    return Boolean(availability && availability.soldOut);
+  }
+
+  assertAvailable(eventId, type, excludeId = null) {
+    const availability = this.getAvailability(eventId, excludeId).types[type];
+    if (availability && availability.soldOut) {
+      throw new StoreError(
+        "Plus aucune place disponible pour ce billet",
+        409,
+        "SOLD_OUT"
+      );
+    }
+  }
+
+  // ==================== LISTE D'ATTENTE ====================
+  // Quand un billet est complet, le visiteur s'inscrit sur la liste d'attente
+  // de ce type. Chaque place libérée (annulation, réservation expirée,
+  // capacité augmentée) est proposée dans l'ordre d'inscription : l'offre
+  // tient la place waitlistOfferHours (event-config.js) et son jeton permet
+  // de s'inscrire malgré le SOLD-OUT.
+  // Statuts : waiting → offered → claimed | expired ; un administrateur peut
+  // proposer à nouveau une place après expiration.
+  listWaitlist(eventId) {
+    this.load();
+    const id = this.resolveEventId(eventId);
+    let position = 0;
+    return Object.values(this.data.waitlist)
+      .filter((entry) => !id || entry.eventId === id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((entry) => ({
+        ...entry,
+        position: entry.status === "waiting" ? ++position : null,
+      }));
+  }
+
+  // { eventId, type, name, email, phone } ; une personne déjà en attente
+  // pour ce billet retrouve son entrée
+  joinWaitlist(input) {
+    this.load();
+    const eventId = this.resolveEventId(input.eventId);
+    const text = (value) => (typeof value === "string" ? value.trim() : "");
+    const fields = {
+      name: text(input.name),
+      email: text(input.email).toLowerCase(),
+      phone: text(input.phone),
+      type: text(input.type),
+    };
+
+    const errors = [];
+    if (!fields.name || fields.name.length > MAX_WAITLIST_NAME_LENGTH) {
+      errors.push("Nom invalide");
+    }
+    if (!fields.email || !this.isValidEmail(fields.email)) {
+      errors.push("Format email invalide");
+    }
+    if (fields.phone && !this.isValidPhone(fields.phone)) {
+      errors.push("Format téléphone invalide");
+    }
+    if (!this.ticketTypes(eventId)[fields.type]) {
+      errors.push("Type de billet invalide");
+    }
+    if (errors.length > 0) {
+      throw new StoreError(`Validation échouée: ${errors.join(", ")}`);
+    }
+
+    const existing = Object.values(this.data.waitlist).find(
+      (entry) =>
+        entry.eventId === eventId &&
+        entry.type === fields.type &&
+        entry.email === fields.email &&
+        ["waiting", "offered"].includes(entry.status)
+    );
+    if (existing) return this.waitlistEntry(existing.id);
+
+    if (!this.getAvailability(eventId).types[fields.type].soldOut) {
+      throw new StoreError(
+        "Des places sont encore disponibles pour ce billet",
+        409,
+        "not_sold_out"
+      );
+    }
+
+    const id = `WL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.data.waitlist[id] = {
+      id,
+      eventId,
+      ...fields,
+      status: "waiting",
+      createdAt: new Date().toISOString(),
+      offerToken: null,
+      offeredAt: null,
+      offerExpiresAt: null,
+      clientId: null,
+    };
+    this.persist();
+
+    console.log("📋 Inscription sur la liste d'attente:", id, fields.type);
+    return this.waitlistEntry(id);
+  }
+
+  // Entrée avec sa position dans la file
+  waitlistEntry(id) {
+    const entry = this.data.waitlist[id];
+    if (!entry) {
+      throw new StoreError(
+        "Entrée de liste d'attente non trouvée",
+        404,
+        "not_found"
+      );
+    }
+    return this.listWaitlist(entry.eventId).find((listed) => listed.id === id);
+  }
+
+  // Appelé après chaque libération de place et périodiquement par le
+  // serveur : expire les offres échues puis propose les places libres.
+  // Un billet qui ne tient pas dans les places restantes (couple pour une
+  // seule place) n'arrête pas la file : la personne suivante est servie.
+  processWaitlist(now = Date.now()) {
+    this.load();
+    const expiredAt = new Date(now).toISOString();
+    const expired = Object.values(this.data.waitlist)
+      .filter(
+        (entry) =>
+          entry.status === "offered" &&
+          new Date(entry.offerExpiresAt).getTime() <= now
+      )
+      .map((entry) => {
+        this.data.waitlist[entry.id] = {
+          ...entry,
+          status: "expired",
+          offerExpiredAt: expiredAt,
+        };
+        return this.data.waitlist[entry.id];
+      });
+
+    // Une offre à la fois : chacune tient sa place avant le calcul suivant
+    const offered = [];
+    Object.values(this.data.waitlist)
+      .filter((entry) => entry.status === "waiting")
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach((entry) => {
+        if (this.hasSeatFor(entry)) offered.push(this.makeOffer(entry, now));
+      });
+
+    if (expired.length > 0 || offered.length > 0) {
+      this.persist();
+      console.log(
+        `📋 Liste d'attente: ${offered.length} offre(s), ${expired.length} expirée(s)`
+      );
+    }
+    return { offered, expired };
+  }
+
+  // Événement ou type de billet supprimé depuis : l'entrée reste en attente
+  hasSeatFor(entry) {
+    try {
+      const availability = this.getAvailability(entry.eventId).types[
+        entry.type
+      ];
+      return !!availability && !availability.soldOut;
+    } catch (error) {
+      if (error instanceof StoreError) return false;
+      throw error;
+    }
+  }
+
+  makeOffer(entry, now) {
+    const hours = this.eventConfig
+      ? this.eventConfig.getEvent(entry.eventId).waitlistOfferHours
+      : DEFAULT_OFFER_HOURS;
+    this.data.waitlist[entry.id] = {
+      ...entry,
+      status: "offered",
+      offerToken: crypto.randomBytes(24).toString("base64url"),
+      offeredAt: new Date(now).toISOString(),
+      offerExpiresAt: new Date(now + hours * 60 * 60 * 1000).toISOString(),
+    };
+    return this.data.waitlist[entry.id];
+  }
+
+  // Offre manuelle par un administrateur, hors ordre de la file
+  offerWaitlistEntry(id) {
+    this.load();
+    const existing = this.waitlistEntry(id);
+    if (!["waiting", "expired"].includes(existing.status)) {
+      throw new StoreError(
+        "Une offre est déjà en cours pour cette entrée",
+        409,
+        "waitlist_closed"
+      );
+    }
+    this.assertAvailable(existing.eventId, existing.type);
+
+    const offered = this.makeOffer(this.data.waitlist[id], Date.now());
+    this.persist();
+
+    console.log("📨 Place proposée:", id);
+    return offered;
+  }
+
+  // Retrait : une offre en cours rend sa place à la file
+  removeWaitlistEntry(id) {
+    this.load();
+    const existing = this.waitlistEntry(id);
+    delete this.data.waitlist[id];
+    this.persist();
+
+    console.log("🗑️ Retiré de la liste d'attente:", id);
+    return existing;
+  }
+
+  // Jeton du lien envoyé par email ; 410 une fois l'offre échue
+  getWaitlistOffer(token) {
+    this.load();
+    const entry =
+      typeof token === "string" && token
+        ? Object.values(this.data.waitlist).find(
+            (candidate) => candidate.offerToken === token
+          )
+        : null;
+    if (!entry) {
+      throw new StoreError("Offre introuvable", 404, "offer_not_found");
+    }
+    if (entry.status === "claimed") {
+      throw new StoreError(
+        "Cette place a déjà été réservée",
+        409,
+        "offer_claimed"
+      );
+    }
+    if (
+      entry.status !== "offered" ||
+      new Date(entry.offerExpiresAt).getTime() <= Date.now()
+    ) {
+      throw new StoreError("Cette offre a expiré", 410, "offer_expired");
+    }
+    return entry;
+  }
+
+  // Inscription créée avec le jeton : l'offre est consommée
+  claimWaitlistOffer(client) {
+    const entry = client.waitlistId && this.data.waitlist[client.waitlistId];
+    if (!entry) return;
+    this.data.waitlist[entry.id] = {
+      ...entry,
+      status: "claimed",
+      clientId: client.id,
+      claimedAt: client.createdAt,
+    };
+    console.log("🎟️ Offre de la liste d'attente utilisée:", entry.id);
+  }
+
+  // ==================== CODES PROMO ====================
+  // Un code vaut pour un événement. Ses utilisations sont comptées sur les
+  // inscriptions qui le portent et occupent encore leur place, comme la
+  // capacité : une annulation rend l'utilisation, et le contrôle du plafond
+  // se fait dans le même appel synchrone que l'inscription.
+  listPromoCodes(eventId) {
+    this.load();
+    const id = this.resolveEventId(eventId);
+    return Object.values(this.data.promoCodes)
+      .filter((promo) => promo.eventId === id)
+      .map((promo) => ({ ...promo, uses: this.promoUses(promo.code) }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  createPromoCode(input, by) {
+    this.load();
+    const promo = this.normalizePromo(input);
+    if (this.data.promoCodes[promo.code]) {
+      throw new StoreError("Code promo déjà existant", 409, "promo_exists");
+    }
+
+    const now = new Date().toISOString();
+    this.data.promoCodes[promo.code] = {
+      ...promo,
+      eventId: this.resolveEventId(input.eventId),
+      createdAt: now,
+      createdBy: by || null,
+      updatedAt: now,
+    };
+    this.persist();
+
+    console.log("🏷️ Code promo créé:", promo.code);
+    return { ...this.data.promoCodes[promo.code], uses: 0 };
+  }
+
+  // Le code et l'événement ne changent pas ; les inscriptions déjà faites
+  // gardent leur montant.
+  updatePromoCode(code, changes) {
+    this.load();
+    const existing = this.getPromoCode(code);
+    const promo = this.normalizePromo({
+      ...existing,
+      ...changes,
+      code: existing.code,
+      eventId: existing.eventId,
+    });
+
+    this.data.promoCodes[existing.code] = {
+      ...existing,
+      ...promo,
+      updatedAt: new Date().toISOString(),
+    };
+    this.persist();
+
+    console.log("🏷️ Code promo mis à jour:", existing.code);
+    return {
+      ...this.data.promoCodes[existing.code],
+      uses: this.promoUses(existing.code),
+    };
+  }
+
+  deletePromoCode(code) {
+    this.load();
+    const existing = this.getPromoCode(code);
+    delete this.data.promoCodes[existing.code];
+    this.persist();
+
+    console.log("🗑️ Code promo supprimé:", existing.code);
+    return true;
+  }
+
+  getPromoCode(code) {
+    const promo =
+      this.data.promoCodes[
+        String(code || "")
+          .trim()
+          .toUpperCase()
+      ];
+    if (!promo) {
+      throw new StoreError("Code promo inconnu", 404, "promo_not_found");
+    }
+    return promo;
+  }
+
+  promoUses(code, excludeId = null) {
+    return Object.values(this.data.clients).filter(
+      (client) =>
+        client.promoCode === code &&
+        client.id !== excludeId &&
+        this.holdsSeat(client)
+    ).length;
+  }
+
+  // { amount, currency, promoCode, discount } ; un code refusé lève une StoreError
+  quote(eventId, type, promoCode = null, excludeId = null) {
+    const pricing = this.pricing(eventId, type);
+    if (!promoCode) return { ...pricing, promoCode: null, discount: 0 };
+
+    this.load();
+    const promo = this.assertPromoApplicable(
+      promoCode,
+      eventId,
+      type,
+      excludeId
+    );
+    const discount =
+      pricing.amount === null
+        ? 0
+        : promo.kind === "percent"
+        ? Math.round((pricing.amount * promo.value) / 100)
+        : Math.min(promo.value, pricing.amount);
+
+    return {
+      amount: pricing.amount === null ? null : pricing.amount - discount,
+      currency: pricing.currency,
+      promoCode: promo.code,
+      discount,
+    };
+  }
+
+  assertPromoApplicable(promoCode, eventId, type, excludeId = null) {
+    const promo = this.data.promoCodes[String(promoCode).trim().toUpperCase()];
+    const now = Date.now();
+
+    if (!promo || !promo.active || promo.eventId !== eventId) {
+      throw new StoreError("Code promo invalide", 400, "promo_invalid");
+    }
+    if (promo.ticketTypes.length > 0 && !promo.ticketTypes.includes(type)) {
+      throw new StoreError(
+        "Code promo non valable pour ce billet",
+        400,
+        "promo_not_applicable"
+      );
+    }
+    if (promo.validFrom && now < new Date(promo.validFrom).getTime()) {
+      throw new StoreError(
+        "Code promo pas encore valable",
+        400,
+        "promo_not_started"
+      );
+    }
+    if (promo.validUntil && now > new Date(promo.validUntil).getTime()) {
+      throw new StoreError("Code promo expiré", 400, "promo_expired");
+    }
+    if (
+      promo.maxUses !== null &&
+      this.promoUses(promo.code, excludeId) >= promo.maxUses
+    ) {
+      throw new StoreError("Code promo épuisé", 409, "promo_exhausted");
+    }
+    return promo;
+  }
+
+  // { code, kind: "percent" | "fixed", value, ticketTypes, maxUses, validFrom, validUntil, active }
+  // ticketTypes : types de l'événement du code (input.eventId)
+  normalizePromo(input) {
+    const code = String(input.code || "")
+      .trim()
+      .toUpperCase();
+    if (!/^[A-Z0-9_-]{3,20}$/.test(code)) {
+      throw new StoreError(
+        "Code promo invalide (3 à 20 lettres, chiffres, - ou _)"
+      );
+    }
+    if (!PROMO_KINDS.includes(input.kind)) {
+      throw new StoreError("Type de réduction invalide");
+    }
+
+    const value = Number(input.value);
+    if (
+      !Number.isInteger(value) ||
+      value <= 0 ||
+      (input.kind === "percent" && value > 100)
+    ) {
+      throw new StoreError("Valeur de réduction invalide");
+    }
+
+    const ticketTypes = Array.isArray(input.ticketTypes)
+      ? input.ticketTypes
+      : [];
+    const eventTypes = this.ticketTypes(input.eventId);
+    if (ticketTypes.some((type) => !eventTypes[type])) {
+      throw new StoreError("Type de billet invalide");
+    }
+
+    const optional = (value) =>
+      value === null || value === undefined || value === "" ? null : value;
+    const maxUses = optional(input.maxUses);
+    if (
+      maxUses !== null &&
+      (!Number.isInteger(Number(maxUses)) || maxUses < 1)
+    ) {
+      throw new StoreError("Nombre d'utilisations invalide");
+    }
+
+    const validFrom = optional(input.validFrom);
+    const validUntil = optional(input.validUntil);
+    if (
+      (validFrom && !this.isValidDate(validFrom)) ||
+      (validUntil && !this.isValidDate(validUntil))
+    ) {
+      throw new StoreError("Période de validité invalide");
+    }
+    if (
+      validFrom &&
+      validUntil &&
+      new Date(validFrom) >= new Date(validUntil)
+    ) {
+      throw new StoreError("La fin de validité doit suivre le début");
+    }
+
+    return {
+      code,
+      kind: input.kind,
+      value,
+      ticketTypes,
+      maxUses: maxUses === null ? null : Number(maxUses),
+      validFrom,
+      validUntil,
+      active: input.active !== false,
+    };
+  }
+
+  // ==================== JOURNAL DES MODIFICATIONS ====================
+  // Chaque écriture reçoit un numéro de séquence croissant qui sert de
+  // curseur au flux GET /api/sync/changes.
+  recordChange(entity, op, id) {
+    this.data.seq += 1;
+    const change = { seq: this.data.seq, entity, op, id, at: Date.now() };
+    this.data.changes.push(change);
+    this.pendingChanges.push(change);
+
+    if (this.data.changes.length > MAX_CHANGES_KEPT) {
+      this.data.changes = this.data.changes.slice(-MAX_CHANGES_KEPT);
+    }
+    return change;
+  }
+
+  getChangesSince(cursor, limit = 500) {
+    this.load();
+    const since = parseInt(cursor, 10) || 0;
+    const oldest = this.data.changes.length > 0 ? this.data.changes[0].seq : 0;
+
+    // Curseur absent, futur ou trop ancien pour le journal : instantané complet
+    if (!cursor || since > this.data.seq || since < oldest - 1) {
+      return this.getSnapshot();
+    }
+
+    const pending = this.data.changes.filter((change) => change.seq > since);
+    const page = pending.slice(0, limit);
+
+    // Ne garder que la dernière opération de chaque enregistrement
+    const latest = new Map();
+    page.forEach((change) => {
+      latest.set(`${change.entity}:${change.id}`, change);
+    });
+
+    const changes = [...latest.values()]
+      .sort((a, b) => a.seq - b.seq)
+      .map((change) => this.withRecord(change));
+
+    return {
+      reset: false,
+      cursor: String(page.length > 0 ? page[page.length - 1].seq : since),
+      hasMore: pending.length > page.length,
+      changes,
+    };
+  }
+
+  getSnapshot() {
+    const changes = [
+      ...Object.values(this.data.clients).map((record) => ({
+        entity: "client",
+        op: "updated",
+        id: record.id,
+        record,
+      })),
+      ...Object.values(this.data.payments).map((record) => ({
+        entity: "payment",
+        op: "updated",
+        id: record.id,
+        record,
+      })),
+    ];
+
+    return {
+      reset: true,
+      cursor: String(this.data.seq),
+      hasMore: false,
+      changes,
+    };
+  }
+
+  withRecord(change) {
+    const collection =
+      change.entity === "payment" ? this.data.payments : this.data.clients;
+    const record = collection[change.id] || null;
+
+    return {
+      seq: change.seq,
+      entity: change.entity,
+      op: record ? change.op : "deleted",
+      id: change.id,
+      record,
+    };
+  }
+
+  // ==================== VALIDATION ====================
+  normalizeClient(input) {
+    const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+    return {
+      id:
+        typeof input.id === "string" &&
+        /^[A-Z]{3}_\d+_[a-z0-9]+$/.test(input.id)
+          ? input.id
+          : null,
+      nom1: text(input.nom1),
+      nom2: text(input.nom2),
+      guestNames: Array.isArray(input.guestNames)
+        ? input.guestNames.map(text).filter(Boolean)
+        : [],
+      answers: this.normalizeAnswers(input.answers),
+      email: text(input.email).toLowerCase(),
+      phone: text(input.phone),
+      type: text(input.type),
+      timestamp: this.isValidDate(input.timestamp) ? input.timestamp : null,
+    };
+  }
+
+  // Type et nombre de noms d'après la configuration de l'événement du client
+  validateClient(client) {
+    const errors = [];
+    const ticketTypes = this.ticketTypes(client.eventId);
+    const ticketType = ticketTypes[client.type];
+    const guestNames = client.guestNames || [];
+
+    if (!client.nom1) {
+      errors.push("Champ requis manquant: nom1");
+    }
+    if (!client.email || !this.isValidEmail(client.email)) {
+      errors.push("Format email invalide");
+    }
+    if (!client.phone || !this.isValidPhone(client.phone)) {
+      errors.push("Format téléphone invalide");
+    }
+    if (!ticketType) {
+      errors.push(
+        `Type invalide. Doit être: ${Object.keys(ticketTypes).join(", ")}`
+      );
+    }
+    // guestNames : noms au-delà de nom1 et nom2 (table, groupe)
+    if (
+      !Array.isArray(guestNames) ||
+      guestNames.some((name) => typeof name !== "string" || !name.trim())
+    ) {
+      errors.push("Noms des invités invalides");
+    } else if (ticketType) {
+      // Un nom par invité : nom1, nom2 puis guestNames (un billet single n'en
+      // a qu'un). Les noms manquants ne sont exigés qu'à l'inscription (pas
+      // encore de createdAt), comme les réponses : une inscription existante
+      // reste payable et modifiable.
+      const extraNames = Math.max(0, ticketType.guests - 2);
+      if (guestNames.length > extraNames) {
+        errors.push(
+          `Trop de noms pour ce billet (${ticketType.guests} au plus)`
+        );
+      } else if (
+        !client.createdAt &&
+        ticketType.guests >= 2 &&
+        (!client.nom2 || guestNames.length < extraNames)
+      ) {
+        errors.push(`Un nom par invité requis (${ticketType.guests})`);
+      }
+    }
+    errors.push(...this.answerErrors(client));
+    if (client.paiement && !VALID_PAYMENT_STATUSES.includes(client.paiement)) {
+      errors.push(`Statut de paiement invalide: ${client.paiement}`);
+    }
+
+    if (errors.length > 0) {
+      throw new StoreError(`Validation échouée: ${errors.join(", ")}`);
+    }
+
+    return true;
+  }
+
+  // { <questionId>: "texte" | "choix" | true }
+  normalizeAnswers(answers) {
+    if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+      return {};
+    }
+    const normalized = {};
+    Object.entries(answers).forEach(([id, value]) => {
+      normalized[id] = typeof value === "string" ? value.trim() : value;
+    });
+    return normalized;
+  }
+
+  // Réponses aux questions de l'événement pour ce type de billet. Une réponse
+  // obligatoire n'est exigée qu'à l'inscription (pas encore de createdAt) :
+  // une question ajoutée ensuite ne bloque pas les inscriptions existantes.
+  answerErrors(client) {
+    if (!this.eventConfig || !client.type) return [];
+    const answers = client.answers || {};
+    if (typeof answers !== "object" || Array.isArray(answers)) {
+      return ["Réponses invalides"];
+    }
+
+    return this.eventConfig
+      .getQuestions(client.eventId, client.type)
+      .map((question) => {
+        const value = answers[question.id];
+        if (value === undefined || value === "" || value === false) {
+          return question.required && !client.createdAt
+            ? `Réponse requise: ${question.label}`
+            : null;
+        }
+        if (question.kind === "checkbox") {
+          return value === true ? null : `Réponse invalide: ${question.label}`;
+        }
+        if (typeof value !== "string" || value.length > MAX_ANSWER_LENGTH) {
+          return `Réponse invalide: ${question.label}`;
+        }
+        if (question.kind === "select" && !question.options.includes(value)) {
+          return `Choix invalide: ${question.label}`;
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  // Seules les réponses aux questions de ce type de billet sont conservées
+  pickAnswers(eventId, type, answers) {
+    if (!this.eventConfig) return {};
+    const picked = {};
+    this.eventConfig.getQuestions(eventId, type).forEach((question) => {
+      const value = answers[question.id];
+      if (value !== undefined && value !== "" && value !== false) {
+        picked[question.id] = value;
+      }
+    });
+    return picked;
+  }
+
+  isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+
+  isValidPhone(phone) {
+    return /^[+]?[\d\s\-()]{8,}$/.test(phone);
+  }
+
+  isValidDate(value) {
+    return typeof value === "string" && !isNaN(new Date(value).getTime());
+  }
+
+  generateClientId(eventId, type) {
+    const { prefix } = this.ticketTypes(eventId)[type];
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = {
+  BilletStore,
+  StoreError,
+  PAYMENT_FIELDS,
+  MAX_HOLD_MINUTES,
+  MAX_OFFER_HOURS,
+};
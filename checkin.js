@@ -0,0 +1,617 @@
+// checkin.js - Contrôle des billets à l'entrée (checkin.html, rôle door)
+// Liste des invités en cache IndexedDB (EnhancedBilletDB) alimentée par le flux
+// delta, billets vérifiés hors ligne (HMAC, clé de GET /api/checkin/key) et
+// entrées mises en file tant que le réseau de la salle est coupé.
+class DoorCheckIn {
+  constructor() {
+    this.session = null;
+    this.eventId = null;
+    this.guests = new Map();
+    this.pending = new Map();
+    this.ticketKey = null;
+    this.ticketVersion = null;
+    this.cursor = localStorage.getItem("bielleterie_checkin_cursor");
+    this.isPulling = false;
+    this.isFlushing = false;
+    this.eventSource = null;
+    this.detector = null;
+    this.stream = null;
+    this.lastScan = { token: null, at: 0 };
+    this.scanDelay = 250;
+    this.rescanDelay = 3000;
+    this.flushInterval = 20000;
+  }
+
+  // ==================== DÉMARRAGE ====================
+  async init() {
+    if (!(await this.checkSession())) return;
+
+    await billetDB.init();
+    this.eventId = await this.loadEvent();
+    await this.loadTicketKey();
+    this.setupListeners();
+    this.updateNetworkStatus();
+
+    if (billetDB.isEncryptionLocked()) {
+      this.showUnlock(true);
+      return;
+    }
+    await this.start();
+  }
+
+  async start() {
+    await this.refreshGuests();
+    await this.pullChanges();
+    await this.flushQueue();
+    this.connectStream();
+    setInterval(() => this.flushQueue(), this.flushInterval);
+  }
+
+  // Hors ligne, la dernière session connue reste valable jusqu'à son expiration
+  async checkSession() {
+    try {
+      this.session = await billetAPI.getSession();
+      if (this.session) {
+        localStorage.setItem(
+          "bielleterie_checkin_session",
+          JSON.stringify(this.session)
+        );
+      }
+    } catch (error) {
+      console.warn("⚠️ Vérification de session impossible:", error.message);
+      const stored = JSON.parse(
+        localStorage.getItem("bielleterie_checkin_session") || "null"
+      );
+      this.session = stored && Date.now() < stored.expiresAt ? stored : null;
+    }
+
+    if (!this.session) {
+      window.location.href = "admin-auth.html?next=checkin.html";
+      return false;
+    }
+    if (!this.session.permissions.includes("checkin")) {
+      this.showResult(
+        "error",
+        "Accès refusé",
+        "Ce compte ne peut pas contrôler les entrées."
+      );
+      return false;
+    }
+
+    document.getElementById("sessionInfo").textContent = this.session.username;
+    return true;
+  }
+
+  // Événement de la page (?event=) ou en vente ; hors ligne, le dernier contrôlé
+  async loadEvent() {
+    try {
+      const event = await eventInfo.load();
+      localStorage.setItem("bielleterie_checkin_event", event.id);
+      return event.id;
+    } catch (error) {
+      console.warn("⚠️ Événement indisponible:", error.message);
+      return (
+        eventInfo.eventId || localStorage.getItem("bielleterie_checkin_event")
+      );
+    }
+  }
+
+  setupListeners() {
+    window.addEventListener("online", () => {
+      this.updateNetworkStatus();
+      this.flushQueue();
+      this.pullChanges();
+    });
+    window.addEventListener("offline", () => this.updateNetworkStatus());
+
+    document.getElementById("scanButton").addEventListener("click", () => {
+      if (this.stream) {
+        this.stopScanner();
+      } else {
+        this.startScanner();
+      }
+    });
+    document
+      .getElementById("searchInput")
+      .addEventListener("input", (e) => this.search(e.target.value));
+    document
+      .getElementById("logoutButton")
+      .addEventListener("click", () => this.logout());
+    document.getElementById("unlockForm").addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.unlock(document.getElementById("unlockPassphrase").value);
+    });
+  }
+
+  async unlock(passphrase) {
+    try {
+      await billetDB.unlockEncryption(passphrase);
+      this.showUnlock(false);
+      await this.start();
+    } catch (error) {
+      this.showResult("error", "Phrase de passe incorrecte", error.message);
+    }
+  }
+
+  async logout() {
+    try {
+      await billetAPI.logout();
+    } catch (error) {
+      console.warn("⚠️ Déconnexion serveur impossible:", error.message);
+    }
+    localStorage.removeItem("bielleterie_checkin_session");
+    window.location.href = "admin-auth.html?next=checkin.html";
+  }
+
+  // ==================== LISTE DES INVITÉS ====================
+  async refreshGuests() {
+    const clients = await billetDB.getAllClients();
+    this.guests = new Map(
+      clients
+        .filter((client) => !this.eventId || client.eventId === this.eventId)
+        .map((client) => [client.id, client])
+    );
+
+    const pending = await billetDB.getPendingCheckIns();
+    this.pending = new Map(
+      pending.map((checkin) => [checkin.clientId, checkin])
+    );
+
+    this.updateCounters();
+    this.search(document.getElementById("searchInput").value);
+  }
+
+  // Flux delta du serveur ; les entrées encore en file restent appliquées au cache
+  async pullChanges() {
+    if (this.isPulling || billetDB.isEncryptionLocked()) return;
+    this.isPulling = true;
+
+    try {
+      let hasMore = true;
+      while (hasMore) {
+        const feed = await billetAPI.getChanges(this.cursor);
+        await billetDB.applyRemoteChanges(feed);
+        this.saveCursor(feed.cursor);
+        hasMore = feed.hasMore;
+      }
+      await this.reapplyPending();
+      await this.refreshGuests();
+    } catch (error) {
+      console.warn("⚠️ Liste des invités non actualisée:", error.message);
+    } finally {
+      this.isPulling = false;
+    }
+  }
+
+  // Temps réel : une entrée validée à une autre porte arrive en quelques secondes
+  connectStream() {
+    const query = this.cursor
+      ? `?lastEventId=${encodeURIComponent(this.cursor)}`
+      : "";
+    this.eventSource = new EventSource(
+      `${billetAPI.baseUrl}/api/events/stream${query}`,
+      { withCredentials: true }
+    );
+
+    ["registration", "payment", "deletion"].forEach((type) => {
+      this.eventSource.addEventListener(type, async (event) => {
+        try {
+          const change = JSON.parse(event.data);
+          await billetDB.applyRemoteChanges({
+            reset: false,
+            changes: [change],
+          });
+          this.saveCursor(event.lastEventId);
+          await this.reapplyPending();
+          await this.refreshGuests();
+        } catch (error) {
+          console.error("❌ Erreur flux temps réel:", error);
+        }
+      });
+    });
+    this.eventSource.addEventListener("reset", () => this.pullChanges());
+    this.eventSource.onopen = () => this.updateNetworkStatus(true);
+    this.eventSource.onerror = () => this.updateNetworkStatus(false);
+  }
+
+  saveCursor(cursor) {
+    if (!cursor) return;
+    this.cursor = cursor;
+    localStorage.setItem("bielleterie_checkin_cursor", cursor);
+  }
+
+  async reapplyPending() {
+    const pending = await billetDB.getPendingCheckIns();
+    for (const checkin of pending) {
+      const client = await billetDB.getRawRecord("clients", checkin.clientId);
+      if (client && !client.checkedInAt) {
+        await billetDB.markClientCheckedIn(
+          checkin.clientId,
+          checkin.checkedInAt,
+          checkin.checkedInBy
+        );
+      }
+    }
+  }
+
+  // ==================== FILE DES ENTRÉES ====================
+  async flushQueue() {
+    if (this.isFlushing) return;
+    const pending = await billetDB.getPendingCheckIns();
+    if (pending.length === 0) return;
+    this.isFlushing = true;
+
+    try {
+      const results = await billetAPI.checkInBatch(
+        pending.map(({ clientId, checkedInAt }) => ({ clientId, checkedInAt }))
+      );
+
+      for (const result of results) {
+        const queued = pending.find((c) => c.clientId === result.clientId);
+        await billetDB.removeCheckIn(result.clientId);
+
+        if (!result.ok) {
+          this.showResult(
+            "warning",
+            "Entrée non enregistrée",
+            `${this.guestName(result.clientId)} : ${result.error}`
+          );
+          continue;
+        }
+        await billetDB.markClientCheckedIn(
+          result.clientId,
+          result.checkedInAt,
+          result.checkedInBy
+        );
+
+        // Entrée déjà validée ailleurs pendant la coupure : même billet présenté deux fois
+        if (result.duplicate && result.checkedInAt !== queued.checkedInAt) {
+          this.showResult(
+            "duplicate",
+            "⚠️ Billet utilisé deux fois",
+            `${this.guestName(
+              result.clientId
+            )} était déjà entré à ${this.formatTime(result.checkedInAt)}${
+              result.checkedInBy ? ` (${result.checkedInBy})` : ""
+            }.`
+          );
+        }
+      }
+      console.log(`✅ ${results.length} entrées synchronisées`);
+    } catch (error) {
+      console.warn("⚠️ Entrées en attente de réseau:", error.message);
+    } finally {
+      this.isFlushing = false;
+      await this.refreshGuests();
+    }
+  }
+
+  // ==================== CONTRÔLE ====================
+  async admit(client) {
+    const name = this.formatNames(client);
+
+    if (client.paiement !== "Payé") {
+      this.showResult(
+        "error",
+        "⛔ Billet non valide",
+        `${name} : paiement ${client.paiement.toLowerCase()}.`
+      );
+      return;
+    }
+
+    const previous =
+      client.checkedInAt || (this.pending.get(client.id) || {}).checkedInAt;
+    if (previous) {
+      this.showResult(
+        "duplicate",
+        "⚠️ Déjà entré",
+        `${name} est entré à ${this.formatTime(previous)}${
+          client.checkedInBy ? ` (${client.checkedInBy})` : ""
+        }.`
+      );
+      return;
+    }
+
+    const checkin = {
+      clientId: client.id,
+      checkedInAt: new Date().toISOString(),
+      checkedInBy: this.session.username,
+    };
+    await billetDB.markClientCheckedIn(
+      checkin.clientId,
+      checkin.checkedInAt,
+      checkin.checkedInBy
+    );
+    await billetDB.queueCheckIn(checkin);
+    await this.refreshGuests();
+
+    const ticketType = eventInfo.getTicketType(client.type);
+    this.showResult(
+      "success",
+      `✅ Bienvenue ${name}`,
+      ticketType ? ticketType.label : client.type
+    );
+    this.flushQueue();
+  }
+
+  async handleToken(token) {
+    const ticket = await this.verifyTicket(token);
+    if (!ticket) {
+      this.showResult(
+        "error",
+        "⛔ Billet invalide",
+        this.ticketKey
+          ? "Signature incorrecte."
+          : "Clé de vérification absente : connectez l'appareil une fois au réseau."
+      );
+      return;
+    }
+    if (this.eventId && ticket.eventId !== this.eventId) {
+      this.showResult(
+        "error",
+        "⛔ Autre événement",
+        `Billet valable pour ${ticket.eventId}.`
+      );
+      return;
+    }
+
+    const client = this.guests.get(ticket.clientId);
+    if (!client) {
+      // Signature valide mais liste locale pas encore à jour (achat de dernière minute)
+      this.showResult(
+        "warning",
+        "Invité absent de la liste",
+        "Billet authentique : vérifiez l'identité puis actualisez la liste."
+      );
+      return;
+    }
+    await this.admit(client);
+  }
+
+  // ==================== VÉRIFICATION HORS LIGNE ====================
+  async loadTicketKey() {
+    try {
+      const data = await billetAPI.getTicketKey();
+      localStorage.setItem(
+        "bielleterie_ticket_key",
+        JSON.stringify({ version: data.version, key: data.key })
+      );
+    } catch (error) {
+      console.warn("⚠️ Clé des billets depuis le cache:", error.message);
+    }
+
+    const stored = JSON.parse(
+      localStorage.getItem("bielleterie_ticket_key") || "null"
+    );
+    if (!stored) return;
+
+    this.ticketVersion = stored.version;
+    this.ticketKey = await crypto.subtle.importKey(
+      "raw",
+      this.fromBase64Url(stored.key),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    );
+  }
+
+  // Même calcul que tickets.js : HMAC-SHA256 tronqué à 16 octets, base64url
+  async verifyTicket(token) {
+    const parts = String(token || "")
+      .trim()
+      .split(".");
+    if (
+      !this.ticketKey ||
+      parts.length !== 4 ||
+      parts[0] !== this.ticketVersion
+    ) {
+      return null;
+    }
+
+    const payload = new TextEncoder().encode(parts.slice(0, 3).join("."));
+    const signature = await crypto.subtle.sign("HMAC", this.ticketKey, payload);
+    const expected = this.toBase64Url(new Uint8Array(signature).slice(0, 16));
+    return expected === parts[3]
+      ? { eventId: parts[1] || null, clientId: parts[2] }
+      : null;
+  }
+
+  toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  fromBase64Url(text) {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  }
+
+  // ==================== SCANNER (caméra) ====================
+  async startScanner() {
+    if (!("BarcodeDetector" in window)) {
+      this.showResult(
+        "warning",
+        "Scanner indisponible",
+        "Ce navigateur ne lit pas les QR codes : utilisez la recherche."
+      );
+      return;
+    }
+
+    try {
+      this.detector = new BarcodeDetector({ formats: ["qr_code"] });
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+      });
+      const video = document.getElementById("scannerVideo");
+      video.srcObject = this.stream;
+      await video.play();
+      document.getElementById("scanButton").textContent = "⏹️ Arrêter";
+      this.scanLoop();
+    } catch (error) {
+      console.error("❌ Caméra indisponible:", error);
+      this.showResult("error", "Caméra indisponible", error.message);
+      this.stopScanner();
+    }
+  }
+
+  stopScanner() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+    }
+    this.stream = null;
+    document.getElementById("scannerVideo").srcObject = null;
+    document.getElementById("scanButton").textContent = "📷 Scanner";
+  }
+
+  async scanLoop() {
+    if (!this.stream) return;
+
+    try {
+      const codes = await this.detector.detect(
+        document.getElementById("scannerVideo")
+      );
+      const token = codes.length > 0 ? codes[0].rawValue : null;
+      // Le même QR reste devant la caméra : un seul contrôle
+      if (
+        token &&
+        (token !== this.lastScan.token ||
+          Date.now() - this.lastScan.at > this.rescanDelay)
+      ) {
+        this.lastScan = { token, at: Date.now() };
+        await this.handleToken(token);
+      }
+    } catch (error) {
+      console.warn("⚠️ Lecture QR:", error.message);
+    }
+    setTimeout(() => this.scanLoop(), this.scanDelay);
+  }
+
+  // ==================== RECHERCHE MANUELLE ====================
+  search(term) {
+    const list = document.getElementById("searchResults");
+    const query = term.trim().toLowerCase();
+    if (query.length < 2) {
+      list.innerHTML = "";
+      return;
+    }
+
+    const matches = [...this.guests.values()]
+      .filter(
+        (client) =>
+          this.formatNames(client).toLowerCase().includes(query) ||
+          (client.phone || "")
+            .replace(/\s/g, "")
+            .includes(query.replace(/\s/g, ""))
+      )
+      .slice(0, 20);
+
+    list.innerHTML = matches.length
+      ? matches.map((client) => this.renderGuest(client)).join("")
+      : '<p class="empty">Aucun invité trouvé</p>';
+
+    list.querySelectorAll("[data-admit]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.admit(this.guests.get(button.dataset.admit))
+      );
+    });
+  }
+
+  renderGuest(client) {
+    const checkedInAt =
+      client.checkedInAt || (this.pending.get(client.id) || {}).checkedInAt;
+    const ticketType = eventInfo.getTicketType(client.type);
+    const status = checkedInAt
+      ? `<span class="badge entered">Entré ${this.formatTime(
+          checkedInAt
+        )}</span>`
+      : client.paiement === "Payé"
+      ? `<button class="btn" data-admit="${this.escape(
+          client.id
+        )}">Entrer</button>`
+      : `<span class="badge unpaid">${this.escape(client.paiement)}</span>`;
+
+    return `
+      <div class="guest">
+        <div>
+          <div class="guest-name">${this.escape(this.formatNames(client))}</div>
+          <div class="guest-info">${this.escape(
+            ticketType ? ticketType.label : client.type
+          )} • ${this.escape(client.phone)}</div>
+        </div>
+        ${status}
+      </div>
+    `;
+  }
+
+  // ==================== AFFICHAGE ====================
+  showResult(type, title, details = "") {
+    const panel = document.getElementById("scanResult");
+    panel.className = `scan-result ${type}`;
+    document.getElementById("resultTitle").textContent = title;
+    document.getElementById("resultDetails").textContent = details;
+    panel.hidden = false;
+
+    if (type !== "success" && navigator.vibrate)
+      navigator.vibrate([200, 100, 200]);
+  }
+
+  updateCounters() {
+    const paid = [...this.guests.values()].filter(
+      (client) => client.paiement === "Payé"
+    );
+    const entered = paid.filter(
+      (client) => client.checkedInAt || this.pending.has(client.id)
+    );
+    document.getElementById(
+      "enteredCount"
+    ).textContent = `${entered.length} / ${paid.length}`;
+    document.getElementById("pendingCount").textContent = this.pending.size
+      ? `${this.pending.size} en attente d'envoi`
+      : "";
+  }
+
+  updateNetworkStatus(connected = navigator.onLine) {
+    const status = document.getElementById("networkStatus");
+    status.textContent = connected ? "🟢 En ligne" : "🔴 Hors ligne";
+    status.classList.toggle("offline", !connected);
+  }
+
+  showUnlock(show) {
+    document.getElementById("unlockForm").hidden = !show;
+  }
+
+  guestName(clientId) {
+    const client = this.guests.get(clientId);
+    return client ? this.formatNames(client) : clientId;
+  }
+
+  // Couple, table : tous les noms (nom1 & nom2 & invités)
+  formatNames(client) {
+    return [client.nom1, client.nom2, ...(client.guestNames || [])]
+      .filter(Boolean)
+      .join(" & ");
+  }
+
+  formatTime(value) {
+    return new Date(value).toLocaleTimeString("fr-FR", {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  escape(value) {
+    const div = document.createElement("div");
+    div.textContent = value === null || value === undefined ? "" : value;
+    return div.innerHTML;
+  }
+}
+
+// Instance globale
+const doorCheckIn = new DoorCheckIn();
+
+document.addEventListener("DOMContentLoaded", () => doorCheckIn.init());
+
+window.DoorCheckIn = DoorCheckIn;
+window.doorCheckIn = doorCheckIn;
@@ -0,0 +1,556 @@
+// event-config.js - Événements : informations, tarifs et capacités de chaque gala
+// Source unique servie par GET /api/event aux formulaires, à l'accueil et à l'admin.
+// Fichier : { currentEventId, events: { <id>: { name, date, ..., ticketTypes } } }
+const fs = require("fs");
+const path = require("path");
+const {
+  StoreError,
+  MAX_HOLD_MINUTES,
+  MAX_OFFER_HOURS,
+} = require("./billet-store");
+
+// capacity null = pas de limite. seats : places occupées par un billet (un couple = 2)
+// guests : noms demandés à l'inscription. prefix : début des identifiants (CPL_...)
+const DEFAULT_EVENT = {
+  name: "Gala +242",
+  theme: "Audace et Elegance",
+  tagline: "L'audace de se démarquer, l'élégance d'y parvenir.",
+  date: "2026-01-03T21:00:00",
+  venue: "Moscou",
+  address: "Communiquée ultérieurement",
+  dressCode: "Audace & Élégant",
+  currency: "FCFA",
+  capacity: null,
+  ticketTypes: {
+    unite: {
+      label: "Single",
+      price: 3000,
+      seats: 1,
+      guests: 1,
+      prefix: "UNI",
+      capacity: null,
+    },
+    couple: {
+      label: "Couple",
+      price: 5000,
+      seats: 2,
+      guests: 2,
+      prefix: "CPL",
+      capacity: null,
+    },
+  },
+  questions: [],
+  // Réservation d'une inscription non payée, en minutes (null : sans limite) ;
+  // holdExpiryEmail : lien de reprise envoyé à l'acheteur à l'expiration
+  holdMinutes: 30,
+  holdExpiryEmail: false,
+  // Délai, en heures, pour réclamer une place proposée à la liste d'attente
+  waitlistOfferHours: 24,
+};
+// Table de 8 au plus : au-delà, une inscription par groupe devient illisible
+const MAX_SEATS = 8;
+// Questions posées à l'inscription (régime alimentaire, taille de t-shirt...)
+const QUESTION_KINDS = ["text", "select", "checkbox"];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+// Champs texte modifiables par PUT /api/admin/events/:eventId
+const TEXT_FIELDS = [
+  "name",
+  "theme",
+  "tagline",
+  "date",
+  "venue",
+  "address",
+  "dressCode",
+  "currency",
+];
+
+class EventConfig {
+  constructor(configPath) {
+    this.configPath = configPath;
+    this.config = null;
+  }
+
+  // ==================== CHARGEMENT / MIGRATION ====================
+  load() {
+    if (this.config) return this.config;
+
+    let stored = {};
+    try {
+      stored = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    // Ancien format (un seul gala) : il devient le premier événement.
+    // Ses tarifs ne surchargeaient que les types Single et Couple.
+    if (!stored.events) {
+      const ticketTypes = {};
+      Object.entries(DEFAULT_EVENT.ticketTypes).forEach(([type, defaults]) => {
+        ticketTypes[type] = {
+          ...defaults,
+          ...(stored.ticketTypes && stored.ticketTypes[type]),
+        };
+      });
+      const legacy = { ...stored, ticketTypes };
+      const date = this.normalizeEvent("", legacy).date;
+      const id = this.slugify(`gala-${new Date(date).getFullYear()}`);
+      stored = { currentEventId: id, events: { [id]: legacy } };
+    }
+
+    const events = {};
+    Object.entries(stored.events).forEach(([id, event]) => {
+      events[id] = this.normalizeEvent(id, event);
+    });
+
+    this.config = { currentEventId: stored.currentEventId, events };
+    return this.config;
+  }
+
+  // Les types de billet sont ceux de l'événement ; les champs ajoutés depuis
+  // (guests, prefix) reprennent les valeurs par défaut.
+  normalizeEvent(id, stored) {
+    const ticketTypes = {};
+    Object.entries(stored.ticketTypes || DEFAULT_EVENT.ticketTypes).forEach(
+      ([type, ticketType]) => {
+        const defaults = DEFAULT_EVENT.ticketTypes[type] || {};
+        const seats = ticketType.seats || defaults.seats || 1;
+        ticketTypes[type] = {
+          label: type,
+          price: 0,
+          capacity: null,
+          ...defaults,
+          ...ticketType,
+          seats,
+          guests: ticketType.guests || defaults.guests || seats,
+          prefix: ticketType.prefix || defaults.prefix || this.prefixFor(type),
+        };
+      }
+    );
+
+    return {
+      ...DEFAULT_EVENT,
+      ...stored,
+      id,
+      ticketTypes,
+      questions: stored.questions || [],
+    };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+    const tmpPath = `${this.configPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.config, null, 2));
+    fs.renameSync(tmpPath, this.configPath);
+  }
+
+  // ==================== ÉVÉNEMENTS ====================
+  // Événement en vente : celui des pages publiques sans paramètre ?event=
+  getCurrentEventId() {
+    return this.load().currentEventId;
+  }
+
+  // Sans identifiant : événement en vente. Identifiant inconnu : 404
+  getEvent(eventId) {
+    const config = this.load();
+    const event = config.events[eventId || config.currentEventId];
+    if (!event) {
+      throw new StoreError("Événement inconnu", 404, "event_not_found");
+    }
+    return event;
+  }
+
+  listEvents() {
+    const config = this.load();
+    return Object.values(config.events)
+      .map((event) => ({
+        id: event.id,
+        name: event.name,
+        date: event.date,
+        venue: event.venue,
+        current: event.id === config.currentEventId,
+      }))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  // Nouvelle édition : reprend lieu, devise et tarifs de l'événement en vente,
+  // sans ses capacités.
+  createEvent(input) {
+    const config = this.load();
+    const template = this.getEvent();
+    const name = String(input.name || "").trim();
+    const date = String(input.date || "").trim();
+    if (!name || isNaN(new Date(date).getTime())) {
+      throw new StoreError("Nom et date de l'événement requis");
+    }
+
+    const id = this.slugify(
+      input.id || `${name}-${new Date(date).getFullYear()}`
+    );
+    if (!id || config.events[id]) {
+      throw new StoreError(
+        "Identifiant d'événement déjà utilisé",
+        409,
+        "event_exists"
+      );
+    }
+
+    const ticketTypes = {};
+    Object.entries(template.ticketTypes).forEach(([type, ticketType]) => {
+      ticketTypes[type] = { ...ticketType, capacity: null };
+    });
+    config.events[id] = {
+      ...template,
+      id,
+      capacity: null,
+      ticketTypes,
+      questions: template.questions.map((question) => ({ ...question })),
+    };
+    try {
+      this.updateEvent(id, { ...input, name, date });
+    } catch (error) {
+      delete config.events[id];
+      throw error;
+    }
+
+    console.log("🎉 Événement créé:", id);
+    return config.events[id];
+  }
+
+  setCurrentEvent(eventId) {
+    const event = this.getEvent(eventId);
+    this.load().currentEventId = event.id;
+    this.save();
+    console.log("🎫 Événement en vente:", event.id);
+    return event;
+  }
+
+  slugify(text) {
+    return String(text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40);
+  }
+
+  // Trois lettres majuscules, comme UNI et CPL (format des identifiants client)
+  prefixFor(type) {
+    return type
+      .replace(/[^a-z]/g, "")
+      .slice(0, 3)
+      .toUpperCase()
+      .padEnd(3, "X");
+  }
+
+  // ==================== TYPES DE BILLET ====================
+  // { key, label, price, seats, guests } ; la clé ne change plus ensuite
+  // (elle est enregistrée sur chaque inscription).
+  addTicketType(eventId, input) {
+    const config = this.getEvent(eventId);
+    const key = this.slugify(input.key || input.label || "").replace(/-/g, "_");
+    if (!/^[a-z][a-z0-9_]{1,19}$/.test(key)) {
+      throw new StoreError(
+        "Identifiant de type invalide (lettres, chiffres ou _, 2 à 20)"
+      );
+    }
+    if (config.ticketTypes[key]) {
+      throw new StoreError(
+        "Type de billet déjà existant",
+        409,
+        "ticket_type_exists"
+      );
+    }
+
+    const seats = Number(input.seats);
+    if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS) {
+      throw new StoreError(`Nombre de places invalide (1 à ${MAX_SEATS})`);
+    }
+
+    config.ticketTypes[key] = {
+      label: key,
+      price: 0,
+      seats,
+      guests: seats,
+      prefix: this.prefixFor(key),
+      capacity: null,
+    };
+    try {
+      this.updateEvent(eventId, {
+        ticketTypes: {
+          [key]: {
+            label: input.label || key,
+            price: input.price,
+            guests: input.guests === undefined ? seats : input.guests,
+          },
+        },
+      });
+    } catch (error) {
+      delete config.ticketTypes[key];
+      throw error;
+    }
+
+    console.log("🎟️ Type de billet ajouté:", key);
+    return config;
+  }
+
+  // Le serveur vérifie avant qu'aucune inscription ne porte ce type
+  removeTicketType(eventId, type) {
+    const config = this.getEvent(eventId);
+    if (!config.ticketTypes[type]) {
+      throw new StoreError(
+        `Type de billet inconnu: ${type}`,
+        404,
+        "ticket_type_not_found"
+      );
+    }
+    if (Object.keys(config.ticketTypes).length === 1) {
+      throw new StoreError(
+        "L'événement doit garder au moins un type de billet"
+      );
+    }
+
+    delete config.ticketTypes[type];
+    // Une question réservée à ce seul type n'a plus lieu d'être
+    config.questions = config.questions
+      .filter(
+        (question) =>
+          question.ticketTypes.length !== 1 || question.ticketTypes[0] !== type
+      )
+      .map((question) => ({
+        ...question,
+        ticketTypes: question.ticketTypes.filter((key) => key !== type),
+      }));
+    this.save();
+    console.log("🗑️ Type de billet retiré:", type);
+    return config;
+  }
+
+  // ==================== QUESTIONS ====================
+  // { label, kind: "text" | "select" | "checkbox", options, required, ticketTypes }
+  // ticketTypes vide : question posée pour tous les billets de l'événement.
+  // Une case obligatoire doit être cochée (ex. acceptation du règlement).
+  addQuestion(eventId, input) {
+    const config = this.getEvent(eventId);
+    const label = String(input.label || "").trim();
+    if (!label || label.length > 100) {
+      throw new StoreError(
+        "Intitulé de question requis (100 caractères au plus)"
+      );
+    }
+    if (!QUESTION_KINDS.includes(input.kind)) {
+      throw new StoreError("Type de question invalide");
+    }
+    if (config.questions.length >= MAX_QUESTIONS) {
+      throw new StoreError(`${MAX_QUESTIONS} questions au plus par événement`);
+    }
+
+    const options =
+      input.kind === "select" && Array.isArray(input.options)
+        ? [
+            ...new Set(input.options.map((option) => String(option).trim())),
+          ].filter(Boolean)
+        : [];
+    if (
+      input.kind === "select" &&
+      (options.length < 2 || options.length > MAX_OPTIONS)
+    ) {
+      throw new StoreError(`Une liste demande 2 à ${MAX_OPTIONS} choix`);
+    }
+
+    const ticketTypes = Array.isArray(input.ticketTypes)
+      ? input.ticketTypes
+      : [];
+    const unknown = ticketTypes.find((type) => !config.ticketTypes[type]);
+    if (unknown) {
+      throw new StoreError(`Type de billet inconnu: ${unknown}`);
+    }
+
+    // Identifiant stable : clé des réponses enregistrées sur les inscriptions
+    const base =
+      this.slugify(label).replace(/-/g, "_").slice(0, 30) || "question";
+    let id = base;
+    for (
+      let n = 2;
+      config.questions.some((question) => question.id === id);
+      n++
+    ) {
+      id = `${base}_${n}`;
+    }
+
+    config.questions.push({
+      id,
+      label,
+      kind: input.kind,
+      options,
+      required: input.required === true,
+      ticketTypes,
+    });
+    this.save();
+    console.log("❓ Question ajoutée:", id);
+    return config;
+  }
+
+  // Les réponses déjà enregistrées restent sur les inscriptions
+  removeQuestion(eventId, questionId) {
+    const config = this.getEvent(eventId);
+    const index = config.questions.findIndex(
+      (question) => question.id === questionId
+    );
+    if (index === -1) {
+      throw new StoreError("Question inconnue", 404, "question_not_found");
+    }
+
+    config.questions.splice(index, 1);
+    this.save();
+    console.log("🗑️ Question retirée:", questionId);
+    return config;
+  }
+
+  // Questions posées pour un type de billet
+  getQuestions(eventId, type) {
+    return this.getEvent(eventId).questions.filter(
+      (question) =>
+        question.ticketTypes.length === 0 || question.ticketTypes.includes(type)
+    );
+  }
+
+  getTicketType(eventId, type) {
+    return this.getEvent(eventId).ticketTypes[type] || null;
+  }
+
+  getSeats(eventId, type) {
+    const ticketType = this.getEvent(eventId).ticketTypes[type];
+    return (ticketType && ticketType.seats) || 1;
+  }
+
+  getPrice(eventId, type) {
+    const ticketType = this.getEvent(eventId).ticketTypes[type];
+    return ticketType ? ticketType.price : null;
+  }
+
+  // { name, date, ..., ticketTypes: { unite: { label, price, guests } } }
+  updateEvent(eventId, changes) {
+    const config = this.getEvent(eventId);
+    const updates = {};
+    TEXT_FIELDS.forEach((field) => {
+      if (changes[field] === undefined) return;
+      const value = String(changes[field]).trim();
+      if (!value && field !== "address") {
+        throw new StoreError(`Champ requis: ${field}`);
+      }
+      updates[field] = value;
+    });
+    if (updates.date && isNaN(new Date(updates.date).getTime())) {
+      throw new StoreError("Date de l'événement invalide");
+    }
+    if (changes.holdMinutes !== undefined) {
+      const minutes =
+        changes.holdMinutes === null || changes.holdMinutes === ""
+          ? null
+          : Number(changes.holdMinutes);
+      if (
+        minutes !== null &&
+        (!Number.isInteger(minutes) ||
+          minutes < 5 ||
+          minutes > MAX_HOLD_MINUTES)
+      ) {
+        throw new StoreError(
+          `Durée de réservation invalide (5 à ${MAX_HOLD_MINUTES} minutes)`
+        );
+      }
+      updates.holdMinutes = minutes;
+    }
+    if (changes.holdExpiryEmail !== undefined) {
+      updates.holdExpiryEmail = Boolean(changes.holdExpiryEmail);
+    }
+    if (changes.waitlistOfferHours !== undefined) {
+      const hours = Number(changes.waitlistOfferHours);
+      if (!Number.isInteger(hours) || hours < 1 || hours > MAX_OFFER_HOURS) {
+        throw new StoreError(
+          `Délai d'offre de la liste d'attente invalide (1 à ${MAX_OFFER_HOURS} heures)`
+        );
+      }
+      updates.waitlistOfferHours = hours;
+    }
+
+    const typeUpdates = Object.entries(changes.ticketTypes || {}).map(
+      ([type, ticketType]) => {
+        if (!config.ticketTypes[type]) {
+          throw new StoreError(`Type de billet inconnu: ${type}`);
+        }
+        const update = {};
+        if (ticketType.label !== undefined) {
+          update.label = String(ticketType.label).trim();
+          if (!update.label) throw new StoreError(`Libellé requis: ${type}`);
+        }
+        if (ticketType.price !== undefined) {
+          update.price = Number(ticketType.price);
+          if (!Number.isInteger(update.price) || update.price < 0) {
+            throw new StoreError(`Prix invalide: ${type}`);
+          }
+        }
+        // Pas plus de noms que de places : un invité sans place n'entre pas
+        if (ticketType.guests !== undefined) {
+          update.guests = Number(ticketType.guests);
+          if (
+            !Number.isInteger(update.guests) ||
+            update.guests < 1 ||
+            update.guests > config.ticketTypes[type].seats
+          ) {
+            throw new StoreError(`Nombre de noms invalide: ${type}`);
+          }
+        }
+        return [type, update];
+      }
+    );
+
+    Object.assign(config, updates);
+    typeUpdates.forEach(([type, update]) => {
+      Object.assign(config.ticketTypes[type], update);
+    });
+
+    this.save();
+    console.log("🎫 Configuration de l'événement mise à jour");
+    return config;
+  }
+
+  // { capacity, ticketTypes: { unite: 120, couple: 40 } } ; null retire la limite
+  updateCapacity(eventId, changes) {
+    const config = this.getEvent(eventId);
+    const parse = (value, label) => {
+      if (value === null || value === "") return null;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        throw new StoreError(`Capacité invalide: ${label}`);
+      }
+      return number;
+    };
+
+    // Tout est validé avant d'appliquer : pas de configuration à moitié modifiée
+    const capacity =
+      changes.capacity === undefined
+        ? config.capacity
+        : parse(changes.capacity, "événement");
+    const typeCapacities = Object.entries(changes.ticketTypes || {}).map(
+      ([type, value]) => {
+        if (!config.ticketTypes[type]) {
+          throw new StoreError(`Type de billet inconnu: ${type}`);
+        }
+        return [type, parse(value, type)];
+      }
+    );
+
+    config.capacity = capacity;
+    typeCapacities.forEach(([type, value]) => {
+      config.ticketTypes[type].capacity = value;
+    });
+
+    this.save();
+    console.log("🎫 Capacités mises à jour");
+    return config;
+  }
+}
+
+module.exports = { EventConfig, DEFAULT_EVENT };
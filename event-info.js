@@ -0,0 +1,218 @@
+// event-info.js - Configuration de l'événement côté navigateur (GET /api/event)
+// L'événement vient du paramètre ?event=<id> de l'URL, sinon celui en vente.
+// Remplit les éléments marqués dans la page :
+//   data-event-field="venue"  : texte d'un champ (name, theme, date, venue, dressCode...)
+//   data-event-price="couple" : prix formaté d'un type de billet
+//   data-event-link           : lien interne qui conserve le paramètre ?event=
+//   data-ticket-links         : conteneur des liens d'achat, un par type de billet
+//   data-ticket-price         : lignes « Libellé : prix », remplacées par une ligne par type
+// Le contenu HTML existant sert de repli si le serveur est injoignable.
+// Single et Couple gardent leur page ; les autres types passent par billet.html
+const TICKET_PAGES = { unite: "unite.html", couple: "couple.html" };
+
+class EventInfo {
+  constructor() {
+    this.eventId = new URLSearchParams(window.location.search).get("event");
+    this.config = null;
+    this.loading = null;
+  }
+
+  // Identifiant à joindre aux inscriptions (null : le serveur choisit l'événement en vente)
+  getEventId() {
+    return this.config ? this.config.id : this.eventId;
+  }
+
+  // Changement d'événement (sélecteur admin)
+  select(eventId) {
+    this.eventId = eventId || null;
+    this.config = null;
+    this.loading = null;
+    return this.load();
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = billetAPI
+        .getEvent(this.eventId)
+        .then((config) => {
+          this.config = config;
+          this.apply();
+          return config;
+        })
+        .catch((error) => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  getTicketType(type) {
+    return (this.config && this.config.ticketTypes[type]) || null;
+  }
+
+  // Questions posées à l'inscription pour ce type (toutes si type absent)
+  questionsFor(type) {
+    if (!this.config) return [];
+    return this.config.questions.filter(
+      (question) =>
+        !type ||
+        question.ticketTypes.length === 0 ||
+        question.ticketTypes.includes(type)
+    );
+  }
+
+  // Réponse lisible : « Oui » pour une case cochée, texte ou choix sinon
+  formatAnswer(value) {
+    if (value === true) return "Oui";
+    return value === undefined || value === null ? "" : String(value);
+  }
+
+  ticketPage(type) {
+    return TICKET_PAGES[type] || `billet.html?type=${encodeURIComponent(type)}`;
+  }
+
+  price(type) {
+    const ticketType = this.getTicketType(type);
+    return ticketType ? ticketType.price : null;
+  }
+
+  // Montant facturé à l'inscription ; tarif actuel pour les inscriptions antérieures
+  amountFor(client) {
+    if (client.amount !== null && client.amount !== undefined) {
+      return client.amount;
+    }
+    return this.price(client.type) || 0;
+  }
+
+  formatAmount(amount, currency) {
+    const unit = currency || (this.config && this.config.currency) || "";
+    if (amount === null || amount === undefined) return "—";
+    return `${Number(amount).toLocaleString("fr-FR")} ${unit}`.trim();
+  }
+
+  formatDate() {
+    if (!this.config) return "";
+    const date = new Date(this.config.date);
+    return date.toLocaleString("fr-FR", {
+      day: "2-digit",
+      month: "long",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  // ==================== CHIFFRE D'AFFAIRES ====================
+  // Somme encaissée par client, d'après les paiements confirmés
+  // ("success" : enregistrements antérieurs à payment-states.js)
+  collectedAmounts(payments = []) {
+    const collected = new Map();
+    payments
+      .filter(
+        (payment) => payment.status === "paid" || payment.status === "success"
+      )
+      .forEach((payment) => {
+        const amount = Number(payment.amount) || 0;
+        collected.set(
+          payment.clientId,
+          (collected.get(payment.clientId) || 0) + amount
+        );
+      });
+    return collected;
+  }
+
+  // Une inscription payée sans paiement enregistré (anciennes données)
+  // compte pour son montant facturé.
+  clientRevenue(client, collected) {
+    if (collected.has(client.id)) return collected.get(client.id);
+    return client.paiement === "Payé" ? this.amountFor(client) : 0;
+  }
+
+  keepEventInLinks(root = document) {
+    if (!this.eventId) return;
+    root.querySelectorAll("a[data-event-link]").forEach((link) => {
+      const url = new URL(link.getAttribute("href"), window.location.href);
+      url.searchParams.set("event", this.eventId);
+      link.setAttribute(
+        "href",
+        `${url.pathname.split("/").pop()}${url.search}`
+      );
+    });
+  }
+
+  apply(root = document) {
+    if (!this.config) return;
+
+    root.querySelectorAll("[data-event-field]").forEach((element) => {
+      const field = element.dataset.eventField;
+      const value = field === "date" ? this.formatDate() : this.config[field];
+      if (value) element.textContent = value;
+    });
+
+    root.querySelectorAll("[data-event-price]").forEach((element) => {
+      const price = this.price(element.dataset.eventPrice);
+      if (price !== null) element.textContent = this.formatAmount(price);
+    });
+
+    this.renderTicketPrices(root);
+    root
+      .querySelectorAll("[data-ticket-links]")
+      .forEach((container) => this.renderTicketLinks(container));
+
+    // availability.js réapplique l'état SOLD-OUT aux liens recréés
+    document.dispatchEvent(new CustomEvent("eventinfo:applied"));
+  }
+
+  renderTicketPrices(root) {
+    const items = root.querySelectorAll("[data-ticket-price]");
+    if (items.length === 0) return;
+
+    const rows = Object.entries(this.config.ticketTypes).map(
+      ([type, ticketType]) => {
+        const item = document.createElement(items[0].tagName);
+        item.dataset.ticketPrice = type;
+        item.textContent = `${ticketType.label} : ${this.formatAmount(
+          ticketType.price
+        )}`;
+        return item;
+      }
+    );
+    items[0].replaceWith(...rows);
+    items.forEach((item) => item.remove());
+  }
+
+  // Styles .btn / .btn1 en alternance, comme les deux boutons d'origine
+  renderTicketLinks(container) {
+    container.replaceChildren(
+      ...Object.entries(this.config.ticketTypes).map(
+        ([type, ticketType], i) => {
+          const link = document.createElement("a");
+          link.href = this.ticketPage(type);
+          link.className = i % 2 === 0 ? "btn" : "btn1";
+          link.dataset.eventLink = "";
+          link.dataset.ticketType = type;
+          link.textContent = ticketType.label;
+          return link;
+        }
+      )
+    );
+    this.keepEventInLinks(container);
+  }
+}
+
+// Instance globale
+const eventInfo = new EventInfo();
+
+document.addEventListener("DOMContentLoaded", () => {
+  eventInfo.keepEventInLinks();
+  eventInfo.load().catch((error) => {
+    console.warn(
+      "⚠️ Configuration de l'événement indisponible:",
+      error.message
+    );
+  });
+});
+
+window.EventInfo = EventInfo;
+window.eventInfo = eventInfo;
@@ -0,0 +1,98 @@
+// mobile-money-gateway.js - Paiement mobile (MTN MoMo, Airtel Money)
+// L'acheteur saisit son numéro de portefeuille ; l'opérateur lui envoie une
+// demande de paiement à valider sur son téléphone, puis notifie le résultat.
+// Adaptateur d'opérateur :
+//   operators() → identifiants proposés à la page d'achat
+//   requestPayment({ operator, wallet, amount, currency, clientId, reference })
+//     → { requestId } ; le résultat arrive plus tard en notification au format
+//     de /api/webhooks/payments (payment.succeeded | failed | cancelled).
+// Seule l'implémentation simulée existe (BIELLETERIE_MOBILE_MONEY=simulated).
+const crypto = require("crypto");
+const { StoreError } = require("./billet-store");
+
+const MOBILE_MONEY_OPERATORS = {
+  mtn_momo: "MTN MoMo",
+  airtel_money: "Airtel Money",
+};
+
+// Indicatif facultatif, espaces, points et tirets tolérés
+function normalizeWallet(wallet) {
+  const number = String(wallet || "").replace(/[\s.-]/g, "");
+  if (!/^\+?\d{8,15}$/.test(number)) {
+    throw new StoreError("Numéro de portefeuille invalide");
+  }
+  return number;
+}
+
+// Le portefeuille n'est conservé que masqué dans l'enregistrement de paiement
+function maskWallet(wallet) {
+  return `••••${wallet.slice(-4)}`;
+}
+
+// Simulation : le dernier chiffre du numéro décide de l'issue après delay ms
+//   0 → demande refusée par le titulaire (payment.failed)
+//   9 → demande expirée sans réponse (payment.cancelled)
+//   autre → payé (payment.succeeded)
+class SimulatedMobileMoneyGateway {
+  constructor(onResult, delay = 5000) {
+    this.onResult = onResult;
+    this.delay = delay;
+  }
+
+  operators() {
+    return Object.keys(MOBILE_MONEY_OPERATORS);
+  }
+
+  async requestPayment(request) {
+    const label = MOBILE_MONEY_OPERATORS[request.operator];
+    if (!label) {
+      throw new StoreError("Opérateur de paiement mobile inconnu");
+    }
+
+    const requestId = `mm_${crypto.randomBytes(8).toString("hex")}`;
+    const outcome = { 0: "failed", 9: "cancelled" }[request.wallet.slice(-1)];
+    console.log(
+      "📱 Demande de paiement mobile (simulation):",
+      requestId,
+      label,
+      maskWallet(request.wallet)
+    );
+
+    setTimeout(() => {
+      this.onResult({
+        id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+        type: `payment.${outcome || "succeeded"}`,
+        created: new Date().toISOString(),
+        data: {
+          clientId: request.clientId,
+          reference: request.reference,
+          amount: request.amount,
+          currency: request.currency,
+          providerPaymentId: requestId,
+          method: label,
+        },
+      });
+    }, this.delay).unref();
+
+    return { requestId };
+  }
+}
+
+// null : paiement mobile désactivé
+function createMobileMoneyGateway(mode, onResult, options = {}) {
+  if (mode === "simulated") {
+    return new SimulatedMobileMoneyGateway(onResult, options.delay);
+  }
+  if (mode) {
+    console.error("❌ Adaptateur de paiement mobile inconnu:", mode);
+  }
+  return null;
+}
+
+module.exports = {
+  createMobileMoneyGateway,
+  SimulatedMobileMoneyGateway,
+  MOBILE_MONEY_OPERATORS,
+  normalizeWallet,
+  maskWallet,
+};
@@ -0,0 +1,82 @@
+// mobile-money.js - Paiement mobile (MTN MoMo, Airtel Money) pour payment-methods.js
+// L'acheteur saisit le numéro de son portefeuille ; le serveur transmet la
+// demande de paiement à l'opérateur (mobile-money-gateway.js) et la fenêtre
+// attend que l'acheteur la valide sur son téléphone.
+const MOBILE_MONEY_METHODS = [
+  { id: "mtn_momo", label: "MTN MoMo", color: "#ffcc00", textColor: "black" },
+  {
+    id: "airtel_money",
+    label: "Airtel Money",
+    color: "#e40000",
+    textColor: "white",
+  },
+];
+
+class MobileMoneyMethod {
+  constructor({ id, label, color, textColor }) {
+    this.id = id;
+    this.label = label;
+    this.icon = "fa-solid fa-mobile-screen-button";
+    this.color = color;
+    this.textColor = textColor;
+    this.confirmation = "provider";
+    this.instructions = `Saisissez le numéro de votre portefeuille ${label} : une demande de paiement vous sera envoyée.`;
+  }
+
+  // Opérateurs activés sur le serveur
+  isAvailable(capabilities) {
+    return (capabilities.mobileMoney || []).includes(this.id);
+  }
+
+  // Numéro du portefeuille (téléphone de l'inscription par défaut), puis
+  // attente de la validation ; null : retour au choix du moyen de paiement
+  start({ step, clientData, showError }) {
+    return new Promise((resolve) => {
+      step.innerHTML = `
+                            <p style="margin-bottom: 15px; color: #ccc;">${this.instructions}</p>
+                            <input type="tel" name="wallet" maxlength="20" placeholder="+242 06 123 45 67" style="width: 100%; font-size: 16px;">
+                            <button type="button" class="mobile-money-request"
+                                    style="background: ${this.color}; color: ${this.textColor}; padding: 15px 25px; border: none; border-radius: 8px; margin: 10px; cursor: pointer; font-size: 16px; font-weight: bold; width: 200px;">
+                                Envoyer la demande
+                            </button>
+                            <button type="button" class="mobile-money-back"
+                                    style="background: #666; color: white; padding: 10px 20px; border: none; border-radius: 8px; margin: 5px; cursor: pointer; font-size: 14px;">
+                                Retour
+                            </button>
+                        `;
+      const wallet = step.querySelector("[name=wallet]");
+      const request = step.querySelector(".mobile-money-request");
+      wallet.value = clientData.phone || "";
+      step.querySelector(".mobile-money-back").onclick = () => resolve(null);
+
+      request.onclick = async () => {
+        request.disabled = true;
+        try {
+          await billetAPI.requestMobileMoney(
+            clientData.id,
+            this.id,
+            wallet.value
+          );
+        } catch (error) {
+          console.error(`❌ Erreur demande ${this.label}:`, error);
+          showError(error.message || "Demande de paiement impossible");
+          request.disabled = false;
+          return;
+        }
+
+        console.log(`📱 Demande ${this.label} envoyée`);
+        step.innerHTML = `
+                            <p style="margin-bottom: 15px;">📱 Validez la demande de paiement ${this.label} sur votre téléphone.</p>
+                            <p style="color: #ccc; font-size: 14px;">Cette fenêtre se met à jour automatiquement.</p>
+                        `;
+        resolve(await paymentMethods.waitForConfirmation(clientData.id));
+      };
+    });
+  }
+}
+
+MOBILE_MONEY_METHODS.forEach((method) =>
+  paymentMethods.register(new MobileMoneyMethod(method))
+);
+
+window.MobileMoneyMethod = MobileMoneyMethod;
@@ -0,0 +1,225 @@
+// mock-payment-provider.js - Prestataire de paiement simulé (développement)
+// Reproduit le parcours d'un vrai prestataire sans banque :
+//   1. server.js ouvre une session (POST /sessions) au montant dû ;
+//   2. l'acheteur choisit l'issue sur la page /checkout/<session> ;
+//   3. une notification signée part vers /api/webhooks/payments
+//      (payment-webhooks.js), renvoyée jusqu'à 3 fois en cas d'échec.
+//
+// Lancement : node mock-payment-provider.js
+//   puis BIELLETERIE_PAYMENT_PROVIDER_URL=http://localhost:4000 node server.js
+// Notification directe, sans passer par la page :
+//   node mock-payment-provider.js notify <client ou référence> <succeeded|failed|cancelled|refunded> [montant] [devise] [--replay] [--stale]
+// Le secret partagé est lu au même endroit que par le serveur.
+const crypto = require("crypto");
+const express = require("express");
+const path = require("path");
+const { WebhookVerifier, SIGNATURE_HEADER } = require("./payment-webhooks");
+
+const PORT = process.env.MOCK_PROVIDER_PORT || 4000;
+const PUBLIC_URL = process.env.MOCK_PROVIDER_URL || `http://localhost:${PORT}`;
+const WEBHOOK_URL =
+  process.env.BIELLETERIE_WEBHOOK_URL ||
+  "http://localhost:3000/api/webhooks/payments";
+const OUTCOMES = ["succeeded", "failed", "cancelled"];
+const MAX_ATTEMPTS = 3;
+
+const signer = new WebhookVerifier(
+  process.env.BIELLETERIE_WEBHOOK_SECRET ||
+    path.join(__dirname, "data", "webhook-secret")
+);
+const sessions = new Map();
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+}
+
+// ==================== NOTIFICATIONS ====================
+function buildNotification(type, data) {
+  return {
+    id: randomId("evt"),
+    type: `payment.${type}`,
+    created: new Date().toISOString(),
+    data: { method: "Carte (simulation)", ...data },
+  };
+}
+
+// stale : horodatage hors tolérance, pour vérifier le refus du serveur
+async function sendNotification(notification, { stale = false } = {}) {
+  const body = JSON.stringify(notification);
+  const timestamp = Math.floor(Date.now() / 1000) - (stale ? 3600 : 0);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetch(WEBHOOK_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [SIGNATURE_HEADER]: signer.sign(body, timestamp),
+        },
+        body,
+        signal: AbortSignal.timeout(10000),
+      });
+      const result = await response.json().catch(() => ({}));
+      console.log(
+        `🔔 ${notification.type} (${notification.id}) → ${response.status}`,
+        result.status || result.error || ""
+      );
+      // 4xx : notification refusée, la renvoyer ne changerait rien
+      if (response.status < 500) return { status: response.status, result };
+    } catch (error) {
+      console.error(
+        `❌ Envoi ${notification.id} (essai ${attempt}):`,
+        error.message
+      );
+    }
+    if (attempt < MAX_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+    }
+  }
+  return { status: null, result: null };
+}
+
+// ==================== PAGES DE PAIEMENT ====================
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // { clientId, reference, amount, currency, returnUrl } → { id, url }
+  app.post("/sessions", (req, res) => {
+    const { clientId, reference, amount, currency, returnUrl } = req.body || {};
+    if (!clientId || !Number.isFinite(Number(amount))) {
+      return res.status(400).json({ error: "Session invalide" });
+    }
+    const session = {
+      id: randomId("cs"),
+      clientId,
+      reference: reference || null,
+      amount: Number(amount),
+      currency: currency || null,
+      returnUrl: returnUrl || null,
+      status: "open",
+    };
+    sessions.set(session.id, session);
+    console.log("🛒 Session de paiement:", session.id, clientId, amount);
+    res
+      .status(201)
+      .json({ id: session.id, url: `${PUBLIC_URL}/checkout/${session.id}` });
+  });
+
+  app.get("/checkout/:sessionId", (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session) return res.status(404).send("Session inconnue");
+
+    const amount = `${session.amount} ${session.currency || ""}`;
+    res.send(`<!DOCTYPE html>
+<html lang="fr">
+<head><meta charset="UTF-8"><title>Paiement simulé</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto; text-align: center;">
+  <h2>💳 Paiement simulé</h2>
+  <p style="font-size: 24px; font-weight: bold;">${escapeHtml(amount)}</p>
+  <p>Référence ${escapeHtml(session.reference || session.clientId)}</p>
+  ${
+    session.status === "open"
+      ? OUTCOMES.map(
+          (outcome) => `
+  <form method="post" action="/checkout/${session.id}/${outcome}">
+    <button type="submit" style="width: 200px; padding: 12px; margin: 6px;">${
+      { succeeded: "✅ Payer", failed: "❌ Refuser", cancelled: "↩️ Annuler" }[
+        outcome
+      ]
+    }</button>
+  </form>`
+        ).join("")
+      : `<p>Session terminée : ${escapeHtml(session.status)}</p>`
+  }
+</body>
+</html>`);
+  });
+
+  app.post("/checkout/:sessionId/:outcome", async (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    const { outcome } = req.params;
+    if (!session || !OUTCOMES.includes(outcome)) {
+      return res.status(404).send("Session inconnue");
+    }
+    if (session.status === "open") {
+      session.status = outcome;
+      await sendNotification(
+        buildNotification(outcome, {
+          clientId: session.clientId,
+          reference: session.reference,
+          amount: session.amount,
+          currency: session.currency,
+          providerPaymentId: session.id,
+        })
+      );
+    }
+    res.redirect(303, session.returnUrl || `/checkout/${session.id}`);
+  });
+
+  // Remboursement d'une session payée
+  app.post("/sessions/:sessionId/refund", async (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session || session.status !== "succeeded") {
+      return res.status(409).json({ error: "Session non payée" });
+    }
+    session.status = "refunded";
+    const { status } = await sendNotification(
+      buildNotification("refunded", {
+        clientId: session.clientId,
+        reference: session.reference,
+        amount: session.amount,
+        currency: session.currency,
+        providerPaymentId: session.id,
+      })
+    );
+    res.json({ id: session.id, status: session.status, webhookStatus: status });
+  });
+
+  app.listen(PORT, () => {
+    console.log(`🏦 Prestataire simulé sur ${PUBLIC_URL} → ${WEBHOOK_URL}`);
+  });
+}
+
+// ==================== LIGNE DE COMMANDE ====================
+async function notifyFromCli(args) {
+  const flags = args.filter((arg) => arg.startsWith("--"));
+  const [target, outcome, amount, currency] = args.filter(
+    (arg) => !arg.startsWith("--")
+  );
+  if (!target || ![...OUTCOMES, "refunded"].includes(outcome)) {
+    console.error(
+      "Usage: node mock-payment-provider.js notify <client ou référence> <succeeded|failed|cancelled|refunded> [montant] [devise] [--replay] [--stale]"
+    );
+    process.exit(1);
+  }
+
+  // Une référence (XXXX-XXXX-C) ne contient pas le « _ » des identifiants client
+  const notification = buildNotification(outcome, {
+    [target.includes("_") ? "clientId" : "reference"]: target,
+    amount: amount === undefined ? null : Number(amount),
+    currency: currency || null,
+    providerPaymentId: randomId("cli"),
+  });
+  const options = { stale: flags.includes("--stale") };
+  const first = await sendNotification(notification, options);
+  if (flags.includes("--replay")) await sendNotification(notification, options);
+  process.exit(first.status >= 200 && first.status < 300 ? 0 : 1);
+}
+
+if (process.argv[2] === "notify") {
+  notifyFromCli(process.argv.slice(3));
+} else {
+  startServer();
+}
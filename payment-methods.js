@@ -0,0 +1,139 @@
+// payment-methods.js - Moyens de paiement de la fenêtre de paiement (ticket-form.js)
+// Chaque moyen s'enregistre avec paymentMethods.register({ ... }) :
+//   id, label, icon (classe Font Awesome), color / textColor : bouton de choix
+//   instructions : texte affiché une fois le moyen choisi
+//   confirmation : "declaration" — l'acheteur paie hors du site (link ouvert
+//                  dans un nouvel onglet) puis déclare son paiement, qu'un
+//                  administrateur vérifie ;
+//                  "provider" — le prestataire confirme lui-même : start(context)
+//                  mène le paiement dans context.step et renvoie
+//                  { status: paid | failed | cancelled | timeout, ticket },
+//                  ou null pour revenir au choix du moyen
+//   isAvailable(capabilities) : facultatif, d'après GET /api/payment-methods
+// mobile-money.js ajoute MTN MoMo et Airtel Money.
+const CONFIRMATION_POLL_INTERVAL = 3000;
+const CONFIRMATION_TIMEOUT = 3 * 60 * 1000;
+
+class PaymentMethodRegistry {
+  constructor() {
+    this.methods = [];
+    this.capabilities = null;
+  }
+
+  register(method) {
+    const valid =
+      method.id &&
+      method.label &&
+      (method.confirmation === "declaration" ||
+        (method.confirmation === "provider" &&
+          typeof method.start === "function"));
+    if (!valid) {
+      throw new Error(`Moyen de paiement invalide: ${method.id}`);
+    }
+    this.methods = this.methods
+      .filter((existing) => existing.id !== method.id)
+      .concat(method);
+  }
+
+  get(id) {
+    return this.methods.find((method) => method.id === id) || null;
+  }
+
+  // Serveur injoignable : seuls les moyens sans prérequis sont proposés
+  async available() {
+    if (!this.capabilities) {
+      try {
+        this.capabilities = await billetAPI.getPaymentMethods();
+      } catch (error) {
+        console.error("❌ Erreur chargement moyens de paiement:", error);
+      }
+    }
+    const capabilities = this.capabilities || {
+      online: false,
+      mobileMoney: [],
+    };
+    return this.methods.filter(
+      (method) => !method.isAvailable || method.isAvailable(capabilities)
+    );
+  }
+
+  // Suit le statut de l'inscription jusqu'à une issue définitive ; timeout :
+  // toujours en attente (le billet partira par email à la confirmation)
+  async waitForConfirmation(clientId) {
+    const deadline = Date.now() + CONFIRMATION_TIMEOUT;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, CONFIRMATION_POLL_INTERVAL)
+      );
+      try {
+        const result = await billetAPI.getPaymentStatus(clientId);
+        const status = PaymentStates.stateOf(result.client.paiement);
+        if (status === "paid") return { status, ticket: result };
+        if (status === "failed" || status === "cancelled") {
+          return { status, ticket: null };
+        }
+      } catch (error) {
+        console.error("❌ Erreur suivi du paiement:", error.message);
+      }
+    }
+    return { status: "timeout", ticket: null };
+  }
+}
+
+// Instance globale
+const paymentMethods = new PaymentMethodRegistry();
+
+// ==================== VIREMENTS BANCAIRES ====================
+// LIENS BANCAIRES - MODIFIEZ CES LIENS AVEC VOS VRAIS LIENS
+paymentMethods.register({
+  id: "sberbank",
+  label: "Sberbank",
+  icon: "fa-solid fa-building-columns",
+  textColor: "white",
+  confirmation: "declaration",
+  instructions: "Effectuez le paiement sur Sberbank, puis confirmez-le ici.",
+  link: "https://www.sberbank.com/sms/pbpn?requisiteNumber=79990953790", // Remplacez par votre lien Sberbank
+});
+
+paymentMethods.register({
+  id: "tinkoff",
+  label: "Tinkoff",
+  icon: "fa-solid fa-credit-card",
+  textColor: "black",
+  confirmation: "declaration",
+  instructions: "Effectuez le paiement sur Tinkoff, puis confirmez-le ici.",
+  link: "https://www.sberbank.com/sms/pbpn?requisiteNumber=79671012745", // Remplacez par votre lien Tinkoff
+});
+
+// ==================== PAIEMENT EN LIGNE ====================
+// Page du prestataire (POST /api/registrations/:id/checkout) dans un nouvel
+// onglet ; le paiement est confirmé par notification signée au serveur
+paymentMethods.register({
+  id: "card",
+  label: "Carte bancaire",
+  icon: "fa-regular fa-credit-card",
+  textColor: "white",
+  confirmation: "provider",
+  instructions:
+    "Terminez le paiement dans l'onglet du prestataire : cette fenêtre se met à jour automatiquement.",
+  isAvailable: (capabilities) => capabilities.online,
+
+  async start({ step, clientData }) {
+    // Onglet ouvert pendant le clic, avant l'attente : pas de blocage de popup
+    const tab = window.open("", "_blank");
+    try {
+      const checkoutUrl = await billetAPI.startCheckout(clientData.id);
+      if (tab) tab.location.href = checkoutUrl;
+      else window.open(checkoutUrl, "_blank");
+    } catch (error) {
+      if (tab) tab.close();
+      throw error;
+    }
+
+    step.innerHTML = `<p style="margin-bottom: 15px; color: #ccc;">${this.instructions}</p>`;
+    return paymentMethods.waitForConfirmation(clientData.id);
+  },
+});
+
+window.PaymentMethodRegistry = PaymentMethodRegistry;
+window.paymentMethods = paymentMethods;
@@ -0,0 +1,92 @@
+// payment-proofs.js - Justificatifs de virement (capture d'écran ou reçu PDF)
+// Fichiers conservés hors git (data/proofs), servis aux seuls administrateurs.
+// Le navigateur les envoie en data URL ; le type annoncé doit correspondre
+// aux premiers octets du fichier.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { StoreError } = require("./billet-store");
+
+const MAX_PROOF_BYTES = 5 * 1024 * 1024;
+const PROOF_TYPES = {
+  "image/jpeg": { extension: "jpg", magic: [0xff, 0xd8, 0xff] },
+  "image/png": { extension: "png", magic: [0x89, 0x50, 0x4e, 0x47] },
+  "image/webp": { extension: "webp", magic: [0x52, 0x49, 0x46, 0x46] },
+  "application/pdf": { extension: "pdf", magic: [0x25, 0x50, 0x44, 0x46] },
+};
+
+class PaymentProofs {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  // data:<type>;base64,<contenu> → { buffer, mimeType }
+  decode(dataUrl) {
+    const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(
+      String(dataUrl || "")
+    );
+    if (!match) {
+      throw new StoreError("Justificatif illisible", 400, "invalid_proof");
+    }
+
+    const mimeType = match[1].toLowerCase();
+    const format = PROOF_TYPES[mimeType];
+    if (!format) {
+      throw new StoreError(
+        "Justificatif : image (JPEG, PNG, WebP) ou PDF uniquement",
+        415,
+        "invalid_proof"
+      );
+    }
+
+    const buffer = Buffer.from(match[2], "base64");
+    if (buffer.length === 0 || buffer.length > MAX_PROOF_BYTES) {
+      throw new StoreError(
+        `Justificatif trop volumineux (max ${
+          MAX_PROOF_BYTES / 1024 / 1024
+        } Mo)`,
+        413,
+        "invalid_proof"
+      );
+    }
+    if (!format.magic.every((byte, i) => buffer[i] === byte)) {
+      throw new StoreError(
+        "Le contenu ne correspond pas au type du fichier",
+        415,
+        "invalid_proof"
+      );
+    }
+    return { buffer, mimeType };
+  }
+
+  // Nom aléatoire : l'identifiant client n'apparaît pas dans le chemin
+  save(dataUrl) {
+    const { buffer, mimeType } = this.decode(dataUrl);
+    const file = `${crypto.randomBytes(16).toString("hex")}.${
+      PROOF_TYPES[mimeType].extension
+    }`;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, file), buffer, { mode: 0o600 });
+    return { file, mimeType, size: buffer.length };
+  }
+
+  pathOf(file) {
+    if (!/^[a-f0-9]{32}\.(jpg|png|webp|pdf)$/.test(String(file))) {
+      throw new StoreError("Justificatif introuvable", 404, "not_found");
+    }
+    return path.resolve(this.directory, file);
+  }
+
+  remove(file) {
+    try {
+      fs.unlinkSync(this.pathOf(file));
+    } catch (error) {
+      if (error.code !== "ENOENT" && !(error instanceof StoreError)) {
+        console.error("❌ Erreur suppression justificatif:", error.message);
+      }
+    }
+  }
+}
+
+module.exports = { PaymentProofs, MAX_PROOF_BYTES };
@@ -0,0 +1,81 @@
+// payment-reference.js - Référence de paiement à recopier dans le commentaire du virement
+// Partagé par le serveur (require) et le navigateur (window.PaymentReference).
+// Dérivée de l'identifiant client : 8 caractères base32 de Crockford (40 bits
+// d'empreinte FNV-1a) + 1 caractère de contrôle Luhn mod 32, ex. « 1DR5-RJC7-C ».
+// Le contrôle reste dans l'alphabet (les commentaires de virement n'acceptent
+// pas toujours la ponctuation) ; il détecte tout caractère erroné et presque
+// toutes les inversions de deux caractères voisins. La saisie tolère
+// minuscules, espaces, tirets et les confusions O/0, I/L/1.
+const REFERENCE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const CODE_LENGTH = 8;
+
+// FNV-1a 32 bits ; seed distingue les deux passes
+function fnv1a(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Somme de Luhn mod 32 ; withCheck : le dernier caractère est le contrôle
+function luhnSum(code, withCheck) {
+  let factor = withCheck ? 1 : 2;
+  let sum = 0;
+  for (let i = code.length - 1; i >= 0; i--) {
+    const addend = factor * REFERENCE_ALPHABET.indexOf(code[i]);
+    sum += Math.floor(addend / 32) + (addend % 32);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return sum % 32;
+}
+
+const PaymentReference = {
+  fromClientId(clientId) {
+    const id = String(clientId);
+    // 32 bits + 8 bits : reste un entier exact en JavaScript
+    let value = fnv1a(id, 0x811c9dc5) * 256 + (fnv1a(id, 0x050c5d1f) & 0xff);
+
+    let code = "";
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code = REFERENCE_ALPHABET[value % 32] + code;
+      value = Math.floor(value / 32);
+    }
+    const check = REFERENCE_ALPHABET[(32 - luhnSum(code, false)) % 32];
+    return `${code.slice(0, 4)}-${code.slice(4)}-${check}`;
+  },
+
+  // Forme compacte comparable : majuscules, sans séparateurs, confusions corrigées
+  compact(input) {
+    return String(input || "")
+      .toUpperCase()
+      .replace(/[\s-]/g, "")
+      .replace(/O/g, "0")
+      .replace(/[IL]/g, "1");
+  },
+
+  // Référence saisie → forme affichée, ou null si invalide (contrôle faux)
+  parse(input) {
+    const compact = PaymentReference.compact(input);
+    if (compact.length !== CODE_LENGTH + 1) return null;
+
+    if ([...compact].some((char) => !REFERENCE_ALPHABET.includes(char))) {
+      return null;
+    }
+    if (luhnSum(compact, true) !== 0) return null;
+    return `${compact.slice(0, 4)}-${compact.slice(4, CODE_LENGTH)}-${
+      compact[CODE_LENGTH]
+    }`;
+  },
+
+  isValid(input) {
+    return PaymentReference.parse(input) !== null;
+  },
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PaymentReference;
+} else {
+  window.PaymentReference = PaymentReference;
+}
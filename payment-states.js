@@ -0,0 +1,69 @@
+// payment-states.js - Cycle de vie d'un paiement
+// Partagé par le serveur (require) et le navigateur (window.PaymentStates) :
+//   pending → awaiting_verification → paid / failed / cancelled
+//   pending → expired (réservation échue) → pending (reprise)
+//   paid → refunded
+// Une inscription garde le libellé français (champ paiement) ; un
+// enregistrement de paiement garde la clé (champ status).
+const PAYMENT_STATES = {
+  pending: "En attente",
+  awaiting_verification: "À vérifier",
+  paid: "Payé",
+  failed: "Échec",
+  cancelled: "Annulé",
+  refunded: "Remboursé",
+  expired: "Expiré",
+};
+
+// Un paiement échoué, annulé ou expiré peut être relancé ; un remboursement est définitif
+const PAYMENT_TRANSITIONS = {
+  pending: ["awaiting_verification", "paid", "failed", "cancelled", "expired"],
+  awaiting_verification: ["paid", "failed", "cancelled"],
+  paid: ["refunded"],
+  failed: ["pending"],
+  cancelled: ["pending"],
+  refunded: [],
+  expired: ["pending"],
+};
+
+// Statut des enregistrements de paiement écrits avant le cycle de vie
+const LEGACY_STATES = { success: "paid" };
+
+const PaymentStates = {
+  STATES: PAYMENT_STATES,
+  TRANSITIONS: PAYMENT_TRANSITIONS,
+
+  // Clé d'état depuis une clé, un libellé ou un ancien statut ; null si inconnu
+  stateOf(value) {
+    if (PAYMENT_STATES[value]) return value;
+    if (LEGACY_STATES[value]) return LEGACY_STATES[value];
+    return (
+      Object.keys(PAYMENT_STATES).find(
+        (state) => PAYMENT_STATES[state] === value
+      ) || null
+    );
+  },
+
+  labelOf(value) {
+    const state = PaymentStates.stateOf(value);
+    return state ? PAYMENT_STATES[state] : null;
+  },
+
+  labels() {
+    return Object.values(PAYMENT_STATES);
+  },
+
+  // Rester dans le même état est toujours permis (rapport répété, resynchronisation)
+  canTransition(from, to) {
+    const source = PaymentStates.stateOf(from);
+    const target = PaymentStates.stateOf(to);
+    if (!source || !target) return false;
+    return source === target || PAYMENT_TRANSITIONS[source].includes(target);
+  },
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PaymentStates;
+} else {
+  window.PaymentStates = PaymentStates;
+}
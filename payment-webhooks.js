@@ -0,0 +1,85 @@
+// payment-webhooks.js - Notifications signées du prestataire de paiement
+// En-tête X-Bielleterie-Signature : t=<horodatage unix>,v1=<HMAC-SHA256 hex>
+// calculé sur « <t>.<corps brut> » avec le secret partagé. Une notification
+// trop ancienne (ou datée du futur) est refusée ; le rejeu d'une notification
+// récente est écarté par son identifiant (BilletStore.applyPaymentWebhook).
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { StoreError } = require("./billet-store");
+
+const SIGNATURE_HEADER = "x-bielleterie-signature";
+const WEBHOOK_TOLERANCE = 5 * 60; // secondes
+
+class WebhookVerifier {
+  constructor(secretPath) {
+    this.secretPath = secretPath;
+    this.secret = null;
+  }
+
+  // Secret généré au premier lancement, conservé hors git (data/) ;
+  // à recopier dans la configuration du prestataire
+  loadSecret() {
+    if (this.secret) return this.secret;
+
+    try {
+      this.secret = fs.readFileSync(this.secretPath, "utf8").trim();
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.secret = crypto.randomBytes(32).toString("base64url");
+      fs.mkdirSync(path.dirname(this.secretPath), { recursive: true });
+      fs.writeFileSync(this.secretPath, this.secret, { mode: 0o600 });
+      console.log(
+        "🔑 Secret des notifications de paiement créé:",
+        this.secretPath
+      );
+    }
+    return this.secret;
+  }
+
+  // Valeur de l'en-tête pour un corps donné (prestataire simulé, tests)
+  sign(body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.digest(timestamp, body)}`;
+  }
+
+  digest(timestamp, body) {
+    return crypto
+      .createHmac("sha256", this.loadSecret())
+      .update(`${timestamp}.`)
+      .update(body)
+      .digest("hex");
+  }
+
+  // body : corps brut (Buffer) tel que reçu ; renvoie la notification décodée
+  verify(body, header, now = Date.now()) {
+    const fields = {};
+    String(header || "")
+      .split(",")
+      .forEach((part) => {
+        const [key, value] = part.trim().split("=");
+        if (key && value) fields[key] = value;
+      });
+
+    const timestamp = Number(fields.t);
+    if (!Number.isInteger(timestamp) || !/^[a-f0-9]{64}$/.test(fields.v1)) {
+      throw new StoreError("Signature absente", 401, "invalid_signature");
+    }
+
+    const expected = Buffer.from(this.digest(timestamp, body), "hex");
+    const received = Buffer.from(fields.v1, "hex");
+    if (!crypto.timingSafeEqual(expected, received)) {
+      throw new StoreError("Signature invalide", 401, "invalid_signature");
+    }
+    if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE) {
+      throw new StoreError("Notification expirée", 400, "stale_webhook");
+    }
+
+    try {
+      return JSON.parse(body.toString("utf8"));
+    } catch (error) {
+      throw new StoreError("Notification illisible");
+    }
+  }
+}
+
+module.exports = { WebhookVerifier, SIGNATURE_HEADER, WEBHOOK_TOLERANCE };
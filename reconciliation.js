@@ -0,0 +1,258 @@
+// reconciliation.js - Rapprochement d'un relevé bancaire (CSV) avec les paiements attendus
+// Le relevé est lu dans le navigateur ; rien ne part au serveur avant que
+// l'administrateur ait validé les correspondances (admin.html).
+// Une ligne créditrice est :
+//   - sûre      : référence de paiement (payment-reference.js) et montant exacts,
+//                 ou montant exact et nom de l'émetteur désignant un seul client ;
+//   - ambiguë   : référence avec un autre montant, ou plusieurs clients possibles ;
+//   - sans correspondance sinon.
+// Un client désigné par plusieurs lignes sûres les rend toutes ambiguës.
+const BANK_FIELDS = ["date", "amount", "sender", "comment"];
+// En-têtes reconnus pour proposer les colonnes (exports Sberbank, Tinkoff, génériques)
+const BANK_HEADER_HINTS = {
+  date: ["date", "дата"],
+  amount: ["montant", "amount", "сумма", "sum"],
+  sender: [
+    "émetteur",
+    "emetteur",
+    "sender",
+    "payer",
+    "отправитель",
+    "плательщик",
+    "контрагент",
+  ],
+  comment: [
+    "commentaire",
+    "comment",
+    "libellé",
+    "description",
+    "назначение",
+    "комментарий",
+    "описание",
+  ],
+};
+const AMOUNT_TOLERANCE = 0.005;
+
+class BankReconciler {
+  // ==================== LECTURE DU CSV ====================
+  // Séparateur deviné sur la première ligne (; , ou tabulation), guillemets doublés
+  parseCsv(text) {
+    const content = String(text || "").replace(/^\uFEFF/, "");
+    const delimiter = this.detectDelimiter(content.split(/\r?\n/)[0] || "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field.trim());
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && content[i + 1] === "\n") i++;
+        row.push(field.trim());
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field.trim());
+      rows.push(row);
+    }
+
+    const [headers = [], ...lines] = rows.filter((cells) =>
+      cells.some(Boolean)
+    );
+    return { headers, rows: lines };
+  }
+
+  detectDelimiter(line) {
+    const counts = [";", ",", "\t"].map((delimiter) => ({
+      delimiter,
+      count: line.split(delimiter).length,
+    }));
+    return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+  }
+
+  // { date: index, amount: index, sender: index, comment: index } (null si absent)
+  guessMapping(headers) {
+    const mapping = {};
+    BANK_FIELDS.forEach((field) => {
+      const index = headers.findIndex((header) =>
+        BANK_HEADER_HINTS[field].some((hint) =>
+          header.toLowerCase().includes(hint)
+        )
+      );
+      mapping[field] = index === -1 ? null : index;
+    });
+    return mapping;
+  }
+
+  // Lignes du relevé selon le mapping choisi ; line : numéro dans le fichier
+  readLines(rows, mapping) {
+    const cell = (row, field) =>
+      mapping[field] === null || mapping[field] === undefined
+        ? ""
+        : row[mapping[field]] || "";
+
+    return rows.map((row, i) => ({
+      line: i + 2,
+      date: cell(row, "date"),
+      amount: this.parseAmount(cell(row, "amount")),
+      sender: cell(row, "sender"),
+      comment: cell(row, "comment"),
+    }));
+  }
+
+  // « 1 500,00 ₽ », « -1500.00 », « 1,500.00 » → nombre ; null si illisible
+  parseAmount(value) {
+    let text = String(value).replace(/[^\d,.\-+]/g, "");
+    if (text.includes(",") && text.includes(".")) {
+      // Le dernier séparateur est la virgule décimale
+      text =
+        text.lastIndexOf(",") > text.lastIndexOf(".")
+          ? text.replace(/\./g, "").replace(",", ".")
+          : text.replace(/,/g, "");
+    } else {
+      text = text.replace(",", ".");
+    }
+    const amount = parseFloat(text);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  // ==================== RAPPROCHEMENT ====================
+  // candidates : [{ client, amount, reference, names: [...] }] (paiements attendus)
+  // Renvoie { confident: [{ line, match }], ambiguous: [{ line, matches }],
+  //           unmatched: [line], ignored: [line] } ; match = { candidate, reasons }
+  reconcile(lines, candidates) {
+    const byReference = new Map(
+      candidates.map((candidate) => [candidate.reference, candidate])
+    );
+    const result = { confident: [], ambiguous: [], unmatched: [], ignored: [] };
+
+    lines.forEach((line) => {
+      // Débits et lignes sans montant : hors rapprochement
+      if (line.amount === null || line.amount <= 0) {
+        result.ignored.push(line);
+        return;
+      }
+
+      const matches = this.matchLine(line, candidates, byReference);
+      const confident = matches.filter((match) => match.confident);
+      if (confident.length === 1) {
+        result.confident.push({ line, match: confident[0] });
+      } else if (matches.length > 0) {
+        result.ambiguous.push({ line, matches });
+      } else {
+        result.unmatched.push(line);
+      }
+    });
+
+    // Deux lignes sûres pour le même client : l'administrateur tranche
+    const counts = new Map();
+    result.confident.forEach(({ match }) => {
+      const id = match.candidate.client.id;
+      counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    result.confident = result.confident.filter(({ line, match }) => {
+      if (counts.get(match.candidate.client.id) === 1) return true;
+      result.ambiguous.push({
+        line,
+        matches: [
+          {
+            ...match,
+            confident: false,
+            reasons: [...match.reasons, "doublon"],
+          },
+        ],
+      });
+      return false;
+    });
+    result.ambiguous.sort((a, b) => a.line.line - b.line.line);
+
+    return result;
+  }
+
+  matchLine(line, candidates, byReference) {
+    const sameAmount = (candidate) =>
+      Math.abs(candidate.amount - line.amount) < AMOUNT_TOLERANCE;
+
+    const referenced = this.findReferences(
+      `${line.comment} ${line.sender}`,
+      byReference
+    );
+    if (referenced.length > 0) {
+      return referenced.map((candidate) => ({
+        candidate,
+        confident: referenced.length === 1 && sameAmount(candidate),
+        reasons: ["référence", sameAmount(candidate) ? "montant" : "montant ≠"],
+      }));
+    }
+
+    const byAmount = candidates.filter(sameAmount);
+    const bySender = byAmount.filter((candidate) =>
+      this.senderMatches(line.sender, candidate.names)
+    );
+    if (bySender.length > 0) {
+      return bySender.map((candidate) => ({
+        candidate,
+        confident: bySender.length === 1,
+        reasons: ["montant", "émetteur"],
+      }));
+    }
+    return byAmount.map((candidate) => ({
+      candidate,
+      confident: false,
+      reasons: ["montant"],
+    }));
+  }
+
+  // Références valides présentes dans le texte, séparateurs et O/0 tolérés
+  findReferences(text, byReference) {
+    const compact = PaymentReference.compact(text).replace(/[^0-9A-Z]/g, "");
+    const found = new Set();
+    for (let i = 0; i + 9 <= compact.length; i++) {
+      const reference = PaymentReference.parse(compact.slice(i, i + 9));
+      if (reference && byReference.has(reference)) {
+        found.add(byReference.get(reference));
+      }
+    }
+    return [...found];
+  }
+
+  // Un mot d'au moins 3 lettres en commun (accents et casse ignorés)
+  senderMatches(sender, names) {
+    const words = (value) =>
+      String(value || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .split(/[^\p{L}]+/u)
+        .filter((word) => word.length >= 3);
+
+    const senderWords = new Set(words(sender));
+    if (senderWords.size === 0) return false;
+    return names.some((name) => words(name).some((w) => senderWords.has(w)));
+  }
+}
+
+// Instance globale
+const bankReconciler = new BankReconciler();
+
+window.BankReconciler = BankReconciler;
+window.bankReconciler = bankReconciler;
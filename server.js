@@ -2,13 +2,57 @@
 const express = require("express");
 const nodemailer = require("nodemailer");
 const cors = require("cors");
+const path = require("path");
+const { BilletStore, StoreError, PAYMENT_FIELDS } = require("./billet-store");
+const { AdminAuth, AuthError } = require("./auth");
+const { EventConfig } = require("./event-config");
+const { TicketSigner, TICKET_VERSION } = require("./tickets");
+const { PaymentProofs } = require("./payment-proofs");
+const { WebhookVerifier, SIGNATURE_HEADER } = require("./payment-webhooks");
+const {
+  createMobileMoneyGateway,
+  MOBILE_MONEY_OPERATORS,
+  normalizeWallet,
+  maskWallet,
+} = require("./mobile-money-gateway");
 const app = express();
 
-app.use(cors());
+// Adresse où sont publiées les pages (billet.html, admin.html...) : liens des
+// emails et origine autorisée par défaut. Ce serveur ne sert que l'API, son
+// adresse ne convient pas : sans réglage, il refuse de démarrer.
+const SITE_URL = (process.env.BIELLETERIE_SITE_URL || "").replace(/\/+$/, "");
+if (!/^https?:\/\/[^/]/.test(SITE_URL)) {
+  console.error(
+    "❌ BIELLETERIE_SITE_URL manquant ou invalide : adresse des pages du site (ex. https://billets.example.com)"
+  );
+  process.exit(1);
+}
+// Origines autorisées à appeler l'API depuis un navigateur, séparées par des
+// virgules (ex. https://billets.example.com) ; par défaut celle du site
+const ALLOWED_ORIGINS = (
+  process.env.BIELLETERIE_ALLOWED_ORIGINS || new URL(SITE_URL).origin
+)
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/+$/, ""))
+  .filter(Boolean);
+
+// Les pages admin envoient le cookie de session : credentials réservés aux
+// origines autorisées, les autres ne reçoivent aucun en-tête CORS
+app.use(
+  cors({
+    origin: (origin, callback) =>
+      callback(null, !!origin && ALLOWED_ORIGINS.includes(origin)),
+    credentials: true,
+  })
+);
+// Justificatif de paiement en data URL (5 Mo encodés en base64)
+app.use("/api/registrations/:id/payment/proof", express.json({ limit: "7mb" }));
+// Notifications du prestataire : la signature porte sur le corps brut
+app.use("/api/webhooks/payments", express.raw({ type: "*/*", limit: "100kb" }));
 app.use(express.json());
 
 // Configuration Mailtrap
-const transporter = nodemailer.createTransporter({
+const transporter = nodemailer.createTransport({
   host: "sandbox.smtp.mailtrap.io",
   port: 2525,
   auth: {
@@ -20,7 +64,26 @@ const transporter = nodemailer.createTransporter({
 // Route pour envoyer les emails d'inscription
 app.post("/send-inscription", async (req, res) => {
   try {
-    const { nom1, nom2, email, phone, type, amount } = req.body;
+    const { nom1, nom2, email, phone, type, amount, eventId } = req.body || {};
+    // Demande invalide : 400 ; sans identifiant, l'événement en vente
+    if (typeof type !== "string" || !type) {
+      return res.status(400).json({
+        success: false,
+        error: "Type de billet manquant",
+        code: "invalid_request",
+      });
+    }
+    if (
+      eventId &&
+      !eventConfig.listEvents().some((event) => event.id === eventId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Événement inconnu",
+        code: "event_not_found",
+      });
+    }
+    const { currency } = eventConfig.getEvent(eventId);
 
     const mailOptions = {
       from: '"Bielleterie" <noreply@bielleterie.com>',
@@ -36,7 +99,7 @@ app.post("/send-inscription", async (req, res) => {
             ${nom2 ? `<p><strong>Nom 2:</strong> ${nom2}</p>` : ""}
             <p><strong>Email:</strong> ${email}</p>
             <p><strong>Téléphone:</strong> ${phone}</p>
-            <p><strong>Montant:</strong> ${amount} ₽</p>
+            <p><strong>Montant:</strong> ${amount} ${currency}</p>
             <p><strong>Date:</strong> ${new Date().toLocaleString("fr-FR")}</p>
           </div>
         </div>
@@ -51,6 +114,1246 @@ app.post("/send-inscription", async (req, res) => {
   }
 });
 
+// ==================== AUTHENTIFICATION ADMIN ====================
+const auth = new AdminAuth(
+  process.env.BIELLETERIE_ADMIN_CONFIG ||
+    path.join(__dirname, "admin-config.json")
+);
+auth.loadConfig();
+app.use(auth.attachSession());
+const requireAdmin = auth.requireAdmin();
+const requirePermission = (permission) => auth.requirePermission(permission);
+
+// Les détails (tentatives, verrouillage) sont renvoyés à la page de connexion
+function handleAuthError(res, error) {
+  if (error instanceof AuthError) {
+    return res
+      .status(error.status)
+      .json({ success: false, error: error.message, ...error.details });
+  }
+  console.error("❌ Erreur connexion:", error);
+  res.status(500).json({ success: false, error: "Erreur serveur" });
+}
+
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+
+  try {
+    const result = auth.login(username, password, req.ip);
+    if (result.totpRequired) {
+      return res.json({
+        success: true,
+        totpRequired: true,
+        challenge: result.challenge,
+      });
+    }
+
+    auth.setSessionCookie(res, result.session);
+    res.json({ success: true, session: auth.toPublicSession(result.session) });
+  } catch (error) {
+    handleAuthError(res, error);
+  }
+});
+
+app.post("/api/auth/totp/verify", (req, res) => {
+  const { challenge, code } = req.body || {};
+
+  try {
+    const session = auth.verifyTotpChallenge(challenge, code, req.ip);
+    auth.setSessionCookie(res, session);
+    res.json({ success: true, session: auth.toPublicSession(session) });
+  } catch (error) {
+    handleAuthError(res, error);
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  if (req.adminSession) {
+    auth.logout(req.adminSession.id);
+  }
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+app.get("/api/auth/session", requireAdmin, (req, res) => {
+  res.json({ success: true, session: auth.toPublicSession(req.adminSession) });
+});
+
+// ==================== DOUBLE AUTHENTIFICATION (compte courant) ====================
+// QR code généré localement ; sans le module qrcode, seul le secret est affiché
+function renderQrCode(text) {
+  try {
+    return require("qrcode").toDataURL(text, { margin: 1, width: 220 });
+  } catch (error) {
+    console.warn("⚠️ Module qrcode indisponible:", error.message);
+    return Promise.resolve(null);
+  }
+}
+
+app.post("/api/auth/totp/setup", requireAdmin, async (req, res) => {
+  try {
+    const setup = auth.beginTotpSetup(req.adminSession.username);
+    const qrCode = await renderQrCode(setup.otpauthUrl);
+    res.json({ success: true, ...setup, qrCode });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.post("/api/auth/totp/enable", requireAdmin, (req, res) => {
+  try {
+    const recoveryCodes = auth.enableTotp(
+      req.adminSession.username,
+      (req.body || {}).code
+    );
+    res.json({
+      success: true,
+      recoveryCodes,
+      session: auth.toPublicSession(req.adminSession),
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.post("/api/auth/totp/disable", requireAdmin, (req, res) => {
+  try {
+    auth.disableTotp(req.adminSession.username, (req.body || {}).code);
+    res.json({ success: true });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// ==================== COMPTES ADMIN (propriétaires) ====================
+app.get("/api/admin/users", requirePermission("users:manage"), (req, res) => {
+  res.json({ success: true, users: auth.listUsers() });
+});
+
+app.post("/api/admin/users", requirePermission("users:manage"), (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const user = auth.createUser(username, password, role);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.get(
+  "/api/admin/settings",
+  requirePermission("users:manage"),
+  (req, res) => {
+    res.json({ success: true, settings: auth.getSettings() });
+  }
+);
+
+app.put(
+  "/api/admin/settings",
+  requirePermission("users:manage"),
+  (req, res) => {
+    try {
+      const settings = auth.updateSettings(
+        req.body || {},
+        req.adminSession.username
+      );
+      res.json({ success: true, settings });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.delete(
+  "/api/admin/users/:username/totp",
+  requirePermission("users:manage"),
+  (req, res) => {
+    try {
+      auth.resetTotp(req.params.username);
+      res.json({ success: true });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Changement de rôle ou (dés)activation
+app.patch(
+  "/api/admin/users/:username",
+  requirePermission("users:manage"),
+  (req, res) => {
+    try {
+      const { role, disabled } = req.body || {};
+      const user = auth.updateUser(req.params.username, { role, disabled });
+      res.json({ success: true, user });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.post(
+  "/api/admin/users/:username/password",
+  requirePermission("users:manage"),
+  (req, res) => {
+    try {
+      auth.setPassword(req.params.username, (req.body || {}).password);
+      res.json({ success: true });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// ==================== API INSCRIPTIONS ====================
+const store = new BilletStore(
+  process.env.BIELLETERIE_DATA ||
+    path.join(__dirname, "data", "bielleterie.json")
+);
+store.load();
+store.setMaxListeners(0); // un abonné par flux SSE ouvert
+
+const eventConfig = new EventConfig(
+  process.env.BIELLETERIE_EVENT_CONFIG ||
+    path.join(__dirname, "data", "event-config.json")
+);
+eventConfig.load();
+store.setEventConfig(eventConfig);
+
+function handleApiError(res, error) {
+  if (error instanceof StoreError || error instanceof AuthError) {
+    return res
+      .status(error.status)
+      .json({ success: false, error: error.message, code: error.code });
+  }
+  console.error("❌ Erreur API:", error);
+  res.status(500).json({ success: false, error: "Erreur serveur" });
+}
+
+app.post("/api/registrations", (req, res) => {
+  try {
+    const client = store.createClient(req.body || {}, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+    res.status(201).json({ success: true, client });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.get(
+  "/api/registrations",
+  requirePermission("registrations:read"),
+  (req, res) => {
+    try {
+      const { type, paiement, search } = req.query;
+      const clients = store.listClients({
+        eventId: req.query.event,
+        type,
+        paiement,
+        search,
+      });
+      res.json({ success: true, count: clients.length, clients });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/api/registrations/:id",
+  requirePermission("registrations:read"),
+  (req, res) => {
+    const client = store.getClient(req.params.id);
+    if (!client) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Client non trouvé" });
+    }
+    res.json({ success: true, client });
+  }
+);
+
+// Un caissier ne peut modifier que les champs de paiement
+app.patch(
+  "/api/registrations/:id",
+  requirePermission("payments:write"),
+  (req, res) => {
+    try {
+      const allowedFields = auth.hasPermission(
+        req.adminSession,
+        "registrations:write"
+      )
+        ? undefined
+        : PAYMENT_FIELDS;
+      const before = store.getClient(req.params.id);
+      const client = store.updateClient(
+        req.params.id,
+        req.body || {},
+        allowedFields
+      );
+      // Paiement encaissé au guichet : le billet part aussi par email
+      if (before.paiement !== "Payé" && client.paiement === "Payé") {
+        sendTicketEmail(client);
+      }
+      res.json({ success: true, client });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.post(
+  "/api/registrations/:id/checkin",
+  requirePermission("checkin"),
+  (req, res) => {
+    try {
+      const result = store.checkInClient(
+        req.params.id,
+        req.adminSession.username
+      );
+      res.json({ success: true, ...result });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Entrées en lot (file hors ligne de checkin.html)
+app.post("/api/checkins", requirePermission("checkin"), (req, res) => {
+  try {
+    const results = store.checkInBatch(
+      (req.body || {}).checkins,
+      req.adminSession.username
+    );
+    res.json({ success: true, results });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.delete(
+  "/api/registrations/:id",
+  requirePermission("registrations:delete"),
+  (req, res) => {
+    try {
+      store.deleteClient(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// ==================== BILLETS ====================
+const tickets = new TicketSigner(
+  process.env.BIELLETERIE_TICKET_KEY ||
+    path.join(__dirname, "data", "ticket-key")
+);
+tickets.loadKey();
+
+// { token, qrCode } ; qrCode null sans le module qrcode (le token reste lisible)
+async function buildTicket(client) {
+  const token = tickets.issue(client);
+  return { token, qrCode: await renderQrCode(token) };
+}
+
+// Envoi en arrière-plan : un email en échec ne bloque pas le paiement
+async function sendTicketEmail(client, ticket) {
+  try {
+    const { token, qrCode } = ticket || (await buildTicket(client));
+    const event = eventConfig.getEvent(client.eventId);
+    const names = [client.nom1, client.nom2, ...(client.guestNames || [])]
+      .filter(Boolean)
+      .join(" & ");
+    const ticketType = event.ticketTypes[client.type];
+
+    await transporter.sendMail({
+      from: '"Bielleterie" <noreply@bielleterie.com>',
+      to: client.email,
+      subject: `Votre billet - ${event.name}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; text-align: center;">
+          <h2 style="color: #ff6b6b;">${event.name}</h2>
+          <p><strong>${names}</strong> - ${
+        ticketType ? ticketType.label : client.type
+      }</p>
+          <p>${new Date(event.date).toLocaleString("fr-FR")} - ${
+        event.venue
+      }</p>
+          ${qrCode ? '<img src="cid:billet-qr" alt="Billet" width="220">' : ""}
+          <p style="font-family: monospace; font-size: 12px;">${token}</p>
+          <p>Présentez ce QR code à l'entrée.</p>
+          <p style="color: #888; font-size: 12px;">Référence de paiement : ${
+            client.paymentReference
+          }</p>
+        </div>
+      `,
+      attachments: qrCode
+        ? [
+            {
+              filename: `billet-${client.id}.png`,
+              path: qrCode,
+              cid: "billet-qr",
+            },
+          ]
+        : [],
+    });
+    console.log("🎫 Billet envoyé:", client.id);
+  } catch (error) {
+    console.error("❌ Erreur envoi billet:", client.id, error.message);
+  }
+}
+
+// Public : la page d'achat déclare le paiement (« À vérifier ») ou l'annule.
+// L'identifiant d'inscription, aléatoire et connu du seul acheteur, fait foi.
+// Le billet n'est renvoyé que si un administrateur a déjà confirmé le paiement.
+app.post("/api/registrations/:id/payment", async (req, res) => {
+  try {
+    const client = store.reportPayment(req.params.id, req.body || {});
+    const ticket =
+      client.paiement === "Payé" ? await buildTicket(client) : null;
+    res.json({ success: true, client, ticket });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// ==================== JUSTIFICATIFS DE PAIEMENT ====================
+const proofs = new PaymentProofs(
+  process.env.BIELLETERIE_PROOFS || path.join(__dirname, "data", "proofs")
+);
+
+// Public : { proof: data URL, transferredAt, senderName, method }.
+// Comme le rapport de paiement, l'identifiant d'inscription fait foi.
+app.post("/api/registrations/:id/payment/proof", (req, res) => {
+  const body = req.body || {};
+  let saved = null;
+  try {
+    if (!store.getClient(req.params.id)) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    saved = proofs.save(body.proof);
+    const result = store.submitPaymentProof(req.params.id, body, saved);
+    if (result.replaced) proofs.remove(result.replaced);
+    res.status(201).json({ success: true, client: result.client });
+  } catch (error) {
+    if (saved) proofs.remove(saved.file);
+    handleApiError(res, error);
+  }
+});
+
+// File de vérification : [{ client, payment }] (payment null sans justificatif)
+app.get(
+  "/api/payments/review",
+  requirePermission("payments:write"),
+  (req, res) => {
+    try {
+      const reviews = store.listPaymentReviews(req.query.event);
+      res.json({ success: true, count: reviews.length, reviews });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/api/payments/:paymentId/proof",
+  requirePermission("payments:write"),
+  (req, res) => {
+    try {
+      const payment = store.getPayment(req.params.paymentId);
+      if (!payment || !payment.proof) {
+        throw new StoreError("Justificatif introuvable", 404, "not_found");
+      }
+      res.set("Cache-Control", "no-store");
+      res.type(payment.proof.mimeType);
+      res.sendFile(proofs.pathOf(payment.proof.file), (error) => {
+        if (error && !res.headersSent) {
+          res
+            .status(404)
+            .json({ success: false, error: "Justificatif introuvable" });
+        }
+      });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Vérification d'un paiement déclaré ou en attente : confirm | reject.
+// La confirmation envoie le billet par email.
+app.post(
+  "/api/registrations/:id/payment/:decision",
+  requirePermission("payments:write"),
+  (req, res) => {
+    try {
+      const { decision } = req.params;
+      if (decision !== "confirm" && decision !== "reject") {
+        return res
+          .status(400)
+          .json({ success: false, error: "Décision invalide" });
+      }
+      const client = store.verifyPayment(
+        req.params.id,
+        decision === "confirm",
+        req.adminSession.username
+      );
+      if (client.paiement === "Payé") sendTicketEmail(client);
+      res.json({ success: true, client });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// ==================== PRESTATAIRE DE PAIEMENT ====================
+// Paiement en ligne : BIELLETERIE_PAYMENT_PROVIDER_URL désigne le prestataire
+// (mock-payment-provider.js en développement), qui confirme par notification
+// signée avec le secret partagé.
+const webhooks = new WebhookVerifier(
+  process.env.BIELLETERIE_WEBHOOK_SECRET ||
+    path.join(__dirname, "data", "webhook-secret")
+);
+webhooks.loadSecret();
+const PAYMENT_PROVIDER_URL = process.env.BIELLETERIE_PAYMENT_PROVIDER_URL;
+
+// Public : ouvre une session de paiement au montant dû ; returnUrl n'est
+// transmis que s'il pointe vers la page d'origine de la requête
+app.post("/api/registrations/:id/checkout", async (req, res) => {
+  try {
+    if (!PAYMENT_PROVIDER_URL) {
+      throw new StoreError(
+        "Paiement en ligne indisponible",
+        503,
+        "checkout_unavailable"
+      );
+    }
+    const client = store.getClient(req.params.id);
+    if (!client) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    if (client.paiement !== "En attente") {
+      throw new StoreError("Paiement déjà clôturé", 409, "payment_closed");
+    }
+
+    const origin = req.get("origin");
+    const returnUrl = String((req.body || {}).returnUrl || "");
+    const response = await fetch(`${PAYMENT_PROVIDER_URL}/sessions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        clientId: client.id,
+        reference: client.paymentReference,
+        ...store.amountDue(client),
+        returnUrl:
+          origin && returnUrl.startsWith(`${origin}/`) ? returnUrl : null,
+      }),
+      signal: AbortSignal.timeout(10000),
+    }).catch((error) => {
+      console.error("❌ Prestataire de paiement injoignable:", error.message);
+      return null;
+    });
+    if (!response || !response.ok) {
+      throw new StoreError(
+        "Prestataire de paiement indisponible",
+        502,
+        "provider_error"
+      );
+    }
+    const session = await response.json();
+    // La réservation n'expire pas tant que la session attend son résultat
+    store.openProviderPayment(client.id, {
+      method: "en ligne",
+      providerPaymentId: String(session.id || "").slice(0, 100),
+    });
+    res.status(201).json({ success: true, checkoutUrl: session.url });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// Notification vérifiée (webhook signé ou adaptateur de paiement mobile)
+function applyPaymentNotification(notification) {
+  const result = store.applyPaymentWebhook(notification);
+  if (result.status === "updated" && result.client.paiement === "Payé") {
+    sendTicketEmail(result.client);
+  }
+  return result;
+}
+
+// Notification signée du prestataire ; réponse 2xx = prise en compte (rejeu,
+// type inconnu et notification inapplicable compris), sinon le prestataire
+// la renvoie : 4xx seulement pour une signature ou un format invalide
+app.post("/api/webhooks/payments", (req, res) => {
+  try {
+    const notification = webhooks.verify(
+      Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+      req.get(SIGNATURE_HEADER)
+    );
+    const { status, reason } = applyPaymentNotification(notification);
+    res.json({ success: true, status, reason });
+  } catch (error) {
+    if (error instanceof StoreError) {
+      console.warn("⚠️ Notification de paiement refusée:", error.message);
+    }
+    handleApiError(res, error);
+  }
+});
+
+// ==================== PAIEMENT MOBILE ====================
+const mobileMoney = createMobileMoneyGateway(
+  process.env.BIELLETERIE_MOBILE_MONEY,
+  // Comme le webhook : une notification inapplicable est acquittée « ignored »,
+  // seule une notification mal formée est refusée
+  (notification) => {
+    try {
+      applyPaymentNotification(notification);
+    } catch (error) {
+      console.warn("⚠️ Notification de paiement refusée:", error.message);
+    }
+  },
+  { delay: Number(process.env.BIELLETERIE_MOBILE_MONEY_DELAY) || undefined }
+);
+
+// Public : moyens de paiement disponibles côté serveur (payment-methods.js)
+app.get("/api/payment-methods", (req, res) => {
+  res.json({
+    success: true,
+    online: Boolean(PAYMENT_PROVIDER_URL),
+    mobileMoney: mobileMoney ? mobileMoney.operators() : [],
+  });
+});
+
+// Public : { operator, wallet } → demande de paiement sur le téléphone de
+// l'acheteur ; la page suit ensuite le statut (GET .../payment)
+app.post("/api/registrations/:id/mobile-money", async (req, res) => {
+  try {
+    if (!mobileMoney) {
+      throw new StoreError(
+        "Paiement mobile indisponible",
+        503,
+        "mobile_money_unavailable"
+      );
+    }
+    const body = req.body || {};
+    const wallet = normalizeWallet(body.wallet);
+    if (!mobileMoney.operators().includes(body.operator)) {
+      throw new StoreError("Opérateur de paiement mobile inconnu");
+    }
+    const client = store.getClient(req.params.id);
+    if (!client) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    if (client.paiement !== "En attente") {
+      throw new StoreError("Paiement déjà clôturé", 409, "payment_closed");
+    }
+
+    const { requestId } = await mobileMoney.requestPayment({
+      operator: body.operator,
+      wallet,
+      clientId: client.id,
+      reference: client.paymentReference,
+      ...store.amountDue(client),
+    });
+    const result = store.openProviderPayment(client.id, {
+      method: MOBILE_MONEY_OPERATORS[body.operator],
+      providerPaymentId: requestId,
+      wallet: maskWallet(wallet),
+    });
+    res.status(201).json({ success: true, client: result.client });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// Public : statut suivi par la page d'achat en attendant le prestataire ;
+// billet joint une fois le paiement confirmé
+app.get("/api/registrations/:id/payment", async (req, res) => {
+  try {
+    const client = store.getClient(req.params.id);
+    if (!client) {
+      throw new StoreError("Client non trouvé", 404, "not_found");
+    }
+    const ticket =
+      client.paiement === "Payé" ? await buildTicket(client) : null;
+    res.set("Cache-Control", "no-store");
+    res.json({ success: true, client, ticket });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// ==================== RÉSERVATIONS ====================
+const HOLD_CHECK_INTERVAL = 60 * 1000;
+
+// Le lien rouvre la page d'achat sur la fenêtre de paiement (ticket-form.js)
+function resumeLink(client) {
+  const query = new URLSearchParams({
+    type: client.type,
+    event: client.eventId,
+    resume: client.id,
+  });
+  return `${SITE_URL}/billet.html?${query}`;
+}
+
+async function sendHoldExpiredEmail(client) {
+  try {
+    const event = eventConfig.getEvent(client.eventId);
+    await transporter.sendMail({
+      from: '"Bielleterie" <noreply@bielleterie.com>',
+      to: client.email,
+      subject: `Réservation expirée - ${event.name}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; text-align: center;">
+          <h2 style="color: #ff6b6b;">${event.name}</h2>
+          <p>Votre réservation a expiré faute de paiement et la place a été remise en vente.</p>
+          <p>S'il reste des places, vous pouvez reprendre votre inscription :</p>
+          <p><a href="${resumeLink(
+            client
+          )}" style="background: #ff6b6b; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Reprendre mon inscription</a></p>
+        </div>
+      `,
+    });
+    console.log("📧 Email d'expiration envoyé:", client.id);
+  } catch (error) {
+    console.error("❌ Erreur email d'expiration:", client.id, error.message);
+  }
+}
+
+function expireHolds() {
+  try {
+    store.expireHolds().forEach((client) => {
+      if (eventConfig.getEvent(client.eventId).holdExpiryEmail) {
+        sendHoldExpiredEmail(client);
+      }
+    });
+  } catch (error) {
+    console.error("❌ Erreur expiration des réservations:", error);
+  }
+}
+expireHolds();
+setInterval(expireHolds, HOLD_CHECK_INTERVAL).unref();
+
+// Prolongation (ou reprise d'une réservation expirée) : { minutes }
+app.post(
+  "/api/registrations/:id/hold",
+  requirePermission("payments:write"),
+  (req, res) => {
+    try {
+      const client = store.extendHold(req.params.id, (req.body || {}).minutes);
+      res.json({ success: true, client });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Public : reprise par le lien de l'email d'expiration, si la place est libre
+app.post("/api/registrations/:id/resume", (req, res) => {
+  try {
+    res.json({ success: true, client: store.resumeHold(req.params.id) });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// ==================== LISTE D'ATTENTE ====================
+// Le lien ouvre la page d'achat du billet proposé ; le jeton de l'offre
+// lève le SOLD-OUT pour cette seule inscription (ticket-form.js)
+function claimLink(entry) {
+  const query = new URLSearchParams({
+    type: entry.type,
+    event: entry.eventId,
+    claim: entry.offerToken,
+  });
+  return `${SITE_URL}/billet.html?${query}`;
+}
+
+async function sendWaitlistOfferEmail(entry) {
+  try {
+    const event = eventConfig.getEvent(entry.eventId);
+    const ticketType = event.ticketTypes[entry.type];
+    await transporter.sendMail({
+      from: '"Bielleterie" <noreply@bielleterie.com>',
+      to: entry.email,
+      subject: `Une place s'est libérée - ${event.name}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; text-align: center;">
+          <h2 style="color: #ff6b6b;">${event.name}</h2>
+          <p>Bonne nouvelle ${entry.name} : une place ${
+        ticketType ? ticketType.label : entry.type
+      } vous est réservée.</p>
+          <p>Elle vous attend jusqu'au ${new Date(
+            entry.offerExpiresAt
+          ).toLocaleString(
+            "fr-FR"
+          )}, puis sera proposée à la personne suivante.</p>
+          <p><a href="${claimLink(
+            entry
+          )}" style="background: #ff6b6b; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Réserver ma place</a></p>
+        </div>
+      `,
+    });
+    console.log("📧 Offre de la liste d'attente envoyée:", entry.id);
+  } catch (error) {
+    console.error("❌ Erreur email liste d'attente:", entry.id, error.message);
+  }
+}
+
+function processWaitlist() {
+  try {
+    store.processWaitlist().offered.forEach(sendWaitlistOfferEmail);
+  } catch (error) {
+    console.error("❌ Erreur liste d'attente:", error);
+  }
+}
+
+// Place libérée par une écriture (annulation, expiration, suppression...) :
+// proposée aussitôt ; la vérification périodique expire les offres échues
+let waitlistScheduled = false;
+function scheduleWaitlist() {
+  if (waitlistScheduled) return;
+  waitlistScheduled = true;
+  setImmediate(() => {
+    waitlistScheduled = false;
+    processWaitlist();
+  });
+}
+store.on("change", (change) => {
+  if (change.entity === "client") scheduleWaitlist();
+});
+processWaitlist();
+setInterval(processWaitlist, HOLD_CHECK_INTERVAL).unref();
+
+// Sans jeton ni lien : réservé à l'administration (l'offre part par email)
+function adminWaitlistEntry({ offerToken, ...entry }) {
+  return {
+    ...entry,
+    claimUrl:
+      entry.status === "offered" ? claimLink({ ...entry, offerToken }) : null,
+  };
+}
+
+// Public : { eventId, type, name, email, phone } quand le billet est complet
+app.post("/api/waitlist", (req, res) => {
+  try {
+    const entry = store.joinWaitlist(req.body || {});
+    res.status(201).json({
+      success: true,
+      entry: {
+        id: entry.id,
+        type: entry.type,
+        status: entry.status,
+        position: entry.position,
+      },
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// Public : offre désignée par le jeton du lien, pour préremplir l'inscription
+app.get("/api/waitlist/offers/:token", (req, res) => {
+  try {
+    const entry = store.getWaitlistOffer(req.params.token);
+    res.json({
+      success: true,
+      offer: {
+        eventId: entry.eventId,
+        type: entry.type,
+        name: entry.name,
+        email: entry.email,
+        phone: entry.phone,
+        offerExpiresAt: entry.offerExpiresAt,
+      },
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.get(
+  "/api/admin/waitlist",
+  requirePermission("registrations:read"),
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        waitlist: store.listWaitlist(req.query.event).map(adminWaitlistEntry),
+      });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Offre hors ordre de la file, ou nouvelle offre après expiration
+app.post(
+  "/api/admin/waitlist/:id/offer",
+  requirePermission("registrations:write"),
+  (req, res) => {
+    try {
+      const entry = store.offerWaitlistEntry(req.params.id);
+      sendWaitlistOfferEmail(entry);
+      res.json({ success: true, entry: adminWaitlistEntry(entry) });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.delete(
+  "/api/admin/waitlist/:id",
+  requirePermission("registrations:write"),
+  (req, res) => {
+    try {
+      store.removeWaitlistEntry(req.params.id);
+      processWaitlist();
+      res.json({ success: true });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Clé de vérification hors ligne pour l'application de contrôle à l'entrée
+app.get("/api/checkin/key", requirePermission("checkin"), (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    version: TICKET_VERSION,
+    algorithm: "HMAC-SHA256",
+    key: tickets.exportKey(),
+  });
+});
+
+// ==================== ÉVÉNEMENTS ET CAPACITÉ ====================
+// Public : liste des galas, l'événement en vente est marqué current
+app.get("/api/events", (req, res) => {
+  res.json({
+    success: true,
+    currentEventId: eventConfig.getCurrentEventId(),
+    events: eventConfig.listEvents(),
+  });
+});
+
+// Public : nom, date, lieu, tarifs... (?event=<id>, sinon l'événement en vente)
+app.get("/api/event", (req, res) => {
+  try {
+    res.set("Cache-Control", "no-cache");
+    res.json({ success: true, event: eventConfig.getEvent(req.query.event) });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.post("/api/admin/events", requirePermission("event:manage"), (req, res) => {
+  try {
+    const event = eventConfig.createEvent(req.body || {});
+    res.status(201).json({ success: true, event });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.put(
+  "/api/admin/events/:eventId",
+  requirePermission("event:manage"),
+  (req, res) => {
+    try {
+      const event = eventConfig.updateEvent(req.params.eventId, req.body || {});
+      res.json({ success: true, event });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Types de billet (VIP, table, étudiant...) : prix, places et noms demandés
+app.post(
+  "/api/admin/events/:eventId/ticket-types",
+  requirePermission("event:manage"),
+  (req, res) => {
+    try {
+      const event = eventConfig.addTicketType(
+        req.params.eventId,
+        req.body || {}
+      );
+      res.status(201).json({ success: true, event });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Retrait refusé dès qu'une inscription porte ce type (même annulée)
+app.delete(
+  "/api/admin/events/:eventId/ticket-types/:type",
+  requirePermission("event:manage"),
+  (req, res) => {
+    try {
+      const { eventId, type } = req.params;
+      const used = store.listClients({
+        eventId: eventConfig.getEvent(eventId).id,
+        type,
+      });
+      if (used.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: "Des inscriptions utilisent ce type de billet",
+          code: "ticket_type_in_use",
+        });
+      }
+      const event = eventConfig.removeTicketType(eventId, type);
+      res.json({ success: true, event });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Questions posées à l'inscription (régime, taille de t-shirt...)
+app.post(
+  "/api/admin/events/:eventId/questions",
+  requirePermission("event:manage"),
+  (req, res) => {
+    try {
+      const event = eventConfig.addQuestion(req.params.eventId, req.body || {});
+      res.status(201).json({ success: true, event });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.delete(
+  "/api/admin/events/:eventId/questions/:questionId",
+  requirePermission("event:manage"),
+  (req, res) => {
+    try {
+      const event = eventConfig.removeQuestion(
+        req.params.eventId,
+        req.params.questionId
+      );
+      res.json({ success: true, event });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Met l'événement en vente sur les pages publiques
+app.post(
+  "/api/admin/events/:eventId/current",
+  requirePermission("event:manage"),
+  (req, res) => {
+    try {
+      const event = eventConfig.setCurrentEvent(req.params.eventId);
+      res.json({ success: true, event });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// Public : les pages d'achat basculent seules entre « Achat » et « SOLD-OUT »
+app.get("/api/availability", (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json({ success: true, ...store.getAvailability(req.query.event) });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.put(
+  "/api/admin/events/:eventId/capacity",
+  requirePermission("event:manage"),
+  (req, res) => {
+    try {
+      eventConfig.updateCapacity(req.params.eventId, req.body || {});
+      processWaitlist();
+      res.json({
+        success: true,
+        ...store.getAvailability(req.params.eventId),
+      });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// ==================== CODES PROMO ====================
+// Public : aperçu du montant remisé avant l'inscription (qui revalide le code)
+app.post("/api/promo-codes/validate", (req, res) => {
+  try {
+    const { code, eventId, type } = req.body || {};
+    if (!code || !type) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Code et type de billet requis" });
+    }
+    const resolvedId = store.resolveEventId(eventId);
+    const quote = store.quote(resolvedId, type, code);
+    if (quote.amount === null) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Type de billet invalide" });
+    }
+    res.json({
+      success: true,
+      ...quote,
+      originalAmount: quote.amount + quote.discount,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+app.get(
+  "/api/admin/promo-codes",
+  requirePermission("promo:manage"),
+  (req, res) => {
+    try {
+      const promoCodes = store.listPromoCodes(req.query.event);
+      res.json({ success: true, promoCodes });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.post(
+  "/api/admin/promo-codes",
+  requirePermission("promo:manage"),
+  (req, res) => {
+    try {
+      const promoCode = store.createPromoCode(
+        req.body || {},
+        req.adminSession.username
+      );
+      res.status(201).json({ success: true, promoCode });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.put(
+  "/api/admin/promo-codes/:code",
+  requirePermission("promo:manage"),
+  (req, res) => {
+    try {
+      const promoCode = store.updatePromoCode(req.params.code, req.body || {});
+      res.json({ success: true, promoCode });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+app.delete(
+  "/api/admin/promo-codes/:code",
+  requirePermission("promo:manage"),
+  (req, res) => {
+    try {
+      store.deletePromoCode(req.params.code);
+      res.json({ success: true });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// ==================== SYNCHRONISATION ====================
+// Lot de clients/paiements envoyé par EnhancedBilletDB ; accusé par élément.
+// Public (appareils acheteurs) : un appareil ne peut modifier que ses propres clients.
+app.post("/api/sync/batch", (req, res) => {
+  try {
+    const acks = store.applySyncBatch(req.body || {}, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      isAdmin: auth.hasPermission(req.adminSession, "registrations:write"),
+      // Caissier : champs de paiement seulement, comme PATCH /api/registrations/:id
+      allowedFields: auth.hasPermission(req.adminSession, "payments:write")
+        ? PAYMENT_FIELDS
+        : undefined,
+    });
+    res.json({ success: true, acks });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// Flux delta pour l'admin : créations, modifications et suppressions
+app.get(
+  "/api/sync/changes",
+  requirePermission("registrations:read"),
+  (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 500, 1000);
+      const feed = store.getChangesSince(req.query.since, limit);
+      res.json({ success: true, ...feed });
+    } catch (error) {
+      handleApiError(res, error);
+    }
+  }
+);
+
+// ==================== TEMPS RÉEL (Server-Sent Events) ====================
+const SSE_HEARTBEAT = 25000;
+
+function sseEventName(change) {
+  if (change.op === "deleted") return "deletion";
+  return change.entity === "payment" ? "payment" : "registration";
+}
+
+function writeSseChange(res, change) {
+  res.write(`id: ${change.seq}\n`);
+  res.write(`event: ${sseEventName(change)}\n`);
+  res.write(`data: ${JSON.stringify(change)}\n\n`);
+}
+
+app.get(
+  "/api/events/stream",
+  requirePermission("registrations:read"),
+  (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    // Reprise : en-tête standard à la reconnexion, paramètre au premier chargement
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+      const feed = store.getChangesSince(lastEventId, 1000);
+      if (feed.reset || feed.hasMore) {
+        res.write(
+          `event: reset\ndata: ${JSON.stringify({ cursor: feed.cursor })}\n\n`
+        );
+      } else {
+        feed.changes.forEach((change) => writeSseChange(res, change));
+      }
+    }
+
+    const onChange = (change) => writeSseChange(res, change);
+    store.on("change", onChange);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      store.off("change", onChange);
+    });
+  }
+);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Serveur démarré sur le port ${PORT}`);
@@ -0,0 +1,172 @@
+// Tests du chiffrement local (billet-db.js, script navigateur chargé dans un
+// contexte minimal : localStorage en mémoire, Web Crypto de Node)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function loadBilletDB() {
+  const items = new Map();
+  const context = {
+    console: { log() {}, warn() {}, error() {} },
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    btoa,
+    atob,
+    localStorage: {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    },
+    document: { addEventListener() {} },
+    window: {},
+  };
+  vm.createContext(context);
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "..", "billet-db.js"), "utf8"),
+    context
+  );
+  return context;
+}
+
+async function unlockedDB() {
+  const context = loadBilletDB();
+  const db = new context.window.BilletDB();
+  const { key, config } = await db.createEncryptionConfig(
+    "une phrase de passe assez longue"
+  );
+  context.localStorage.setItem(
+    "bielleterie_encryption",
+    JSON.stringify(config)
+  );
+  db.cryptoKey = key;
+  return db;
+}
+
+const client = {
+  id: "TBL_1_abc",
+  nom1: "Jean Dupont",
+  nom2: "Marie Dupont",
+  guestNames: ["Paul Martin", "Lucie Bernard"],
+  answers: { regime: "Végétarien", tshirt: "M", parking: true },
+  email: "jean@example.com",
+  phone: "+79990001122",
+  type: "table",
+};
+
+test("l'enregistrement stocké ne contient ni noms d'invités ni réponses en clair", async () => {
+  const db = await unlockedDB();
+  const stored = [];
+  db.getClient = async () => null;
+  db.putRawRecord = async (storeName, record) => stored.push(record);
+
+  await db.saveRemoteClient(client);
+
+  assert.strictEqual(stored.length, 1);
+  const raw = JSON.stringify(stored[0]);
+  [
+    "Paul Martin",
+    "Lucie Bernard",
+    "Végétarien",
+    "regime",
+    "jean@example.com",
+  ].forEach((text) => assert.ok(!raw.includes(text), text));
+  assert.ok(db.isEncryptedValue(stored[0].guestNames));
+  assert.ok(db.isEncryptedValue(stored[0].answers));
+});
+
+test("les tableaux et objets sont relus sous leur forme d'origine", async () => {
+  const db = await unlockedDB();
+  const decrypted = await db.decryptSensitiveData(
+    await db.encryptSensitiveData(client)
+  );
+
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(decrypted.guestNames)),
+    client.guestNames
+  );
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(decrypted.answers)),
+    client.answers
+  );
+  assert.strictEqual(decrypted.nom1, client.nom1);
+});
+
+test("verrouillé, les champs structurés gardent leur type", async () => {
+  const db = await unlockedDB();
+  const encrypted = await db.encryptSensitiveData(client);
+  db.cryptoKey = null;
+
+  const masked = await db.decryptSensitiveData(encrypted);
+  assert.ok(masked.locked);
+  assert.strictEqual(masked.guestNames.length, 1);
+  assert.strictEqual(typeof masked.answers, "object");
+});
+
+// IndexedDB minimal : get asynchrone, fin de transaction après la dernière lecture
+function memoryDB(records) {
+  const rows = new Map(records.map((record) => [record.id, { ...record }]));
+  return {
+    rows,
+    transaction() {
+      let pending = 0;
+      const transaction = {
+        objectStore: () => ({
+          get(id) {
+            const request = {};
+            pending++;
+            setImmediate(() => {
+              request.result = rows.has(id) ? { ...rows.get(id) } : undefined;
+              request.onsuccess();
+              if (--pending === 0) setImmediate(() => transaction.oncomplete());
+            });
+            return request;
+          },
+          put: (record) => rows.set(record.id, { ...record }),
+        }),
+      };
+      return transaction;
+    },
+  };
+}
+
+test("une modification faite pendant l'envoi reste à synchroniser", async () => {
+  const db = new (loadBilletDB().window.BilletDB)();
+  const sent = [
+    {
+      id: "UNI_1_a",
+      nom1: "Jean Dupont",
+      lastUpdated: "2026-01-01T10:00:00.000Z",
+    },
+    {
+      id: "UNI_1_b",
+      nom1: "Marie Dupont",
+      lastUpdated: "2026-01-01T10:00:00.000Z",
+    },
+  ];
+  db.db = memoryDB(sent);
+  db.ensureConnection = async () => {};
+  // Modification locale arrivée avant l'accusé du serveur
+  db.db.rows.set("UNI_1_b", {
+    ...sent[1],
+    nom1: "Marie Martin",
+    lastUpdated: "2026-01-01T10:00:05.000Z",
+  });
+
+  await db.markAsSynced(sent, [
+    { id: "UNI_1_a", status: "accepted", version: 2 },
+    { id: "UNI_1_b", status: "accepted", version: 4 },
+  ]);
+
+  const first = db.db.rows.get("UNI_1_a");
+  assert.strictEqual(first.synced, true);
+  assert.strictEqual(first.lastUpdated, sent[0].lastUpdated);
+  assert.strictEqual(first.version, 2);
+  // La modification locale part de la version acquittée
+  const second = db.db.rows.get("UNI_1_b");
+  assert.ok(!second.synced);
+  assert.strictEqual(second.nom1, "Marie Martin");
+  assert.strictEqual(second.version, 4);
+});
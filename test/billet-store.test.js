@@ -0,0 +1,359 @@
+// Tests du stockage des inscriptions : node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BilletStore, PAYMENT_FIELDS } = require("../billet-store");
+const { EventConfig } = require("../event-config");
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bielleterie-"));
+  return new BilletStore(path.join(dir, "db.json"));
+}
+
+// Avec la configuration par défaut : tarifs, réservations de 30 minutes
+function createEventStore() {
+  const store = createStore();
+  const eventConfig = new EventConfig(
+    path.join(path.dirname(store.filePath), "event-config.json")
+  );
+  store.setEventConfig(eventConfig);
+  return store;
+}
+
+function registration(fields = {}) {
+  return {
+    nom1: "Jean Dupont",
+    email: "jean@example.com",
+    phone: "+79990001122",
+    type: "unite",
+    ...fields,
+  };
+}
+
+// ==================== NOMS DES INVITÉS ====================
+test("un billet single sans noms d'invités est accepté", () => {
+  const store = createStore();
+  const client = store.createClient(registration());
+  assert.strictEqual(client.type, "unite");
+  assert.deepStrictEqual(client.guestNames, []);
+});
+
+test("un billet couple exige le second nom", () => {
+  const store = createStore();
+  assert.throws(
+    () => store.createClient(registration({ type: "couple" })),
+    /Un nom par invité requis/
+  );
+  const client = store.createClient(
+    registration({ type: "couple", nom2: "Marie Dupont" })
+  );
+  assert.strictEqual(client.nom2, "Marie Dupont");
+});
+
+test("un billet couple refuse des invités en plus", () => {
+  const store = createStore();
+  assert.throws(
+    () =>
+      store.createClient(
+        registration({
+          type: "couple",
+          nom2: "Marie Dupont",
+          guestNames: ["Paul Martin"],
+        })
+      ),
+    /Trop de noms/
+  );
+});
+
+test("une inscription couple existante sans second nom reste payable", () => {
+  const store = createStore();
+  const client = store.createClient(
+    registration({ type: "couple", nom2: "Marie Dupont" })
+  );
+  // Inscription enregistrée avant que le second nom soit exigé
+  store.data.clients[client.id].nom2 = "";
+
+  const paid = store.updateClient(
+    client.id,
+    { paiement: "Payé" },
+    PAYMENT_FIELDS
+  );
+  assert.strictEqual(paid.paiement, "Payé");
+  assert.throws(
+    () => store.updateClient(client.id, { guestNames: ["Paul Martin"] }),
+    /Trop de noms/
+  );
+});
+
+// ==================== SYNCHRONISATION PAR LOTS ====================
+let syncKey = 0;
+
+function syncBatch(deviceId, clients = [], payments = []) {
+  const item = (record) => ({ idempotencyKey: `k${++syncKey}`, record });
+  return {
+    deviceId,
+    clients: clients.map(item),
+    payments: payments.map(item),
+  };
+}
+
+test("un lot anonyme ne modifie pas une inscription faite en ligne", () => {
+  const store = createStore();
+  const client = store.createClient(registration());
+  const acks = store.applySyncBatch(
+    syncBatch("device-a", [{ id: client.id, email: "pirate@example.com" }])
+  );
+  assert.strictEqual(acks.clients[0].status, "rejected");
+  assert.strictEqual(acks.clients[0].code, "forbidden");
+  assert.strictEqual(store.getClient(client.id).email, "jean@example.com");
+});
+
+test("un lot anonyme ne modifie pas l'inscription d'un autre appareil", () => {
+  const store = createStore();
+  store.applySyncBatch(
+    syncBatch("device-a", [registration({ id: "UNI_1_abc" })])
+  );
+  const acks = store.applySyncBatch(
+    syncBatch("device-b", [{ id: "UNI_1_abc", nom1: "Autre Nom" }])
+  );
+  assert.strictEqual(acks.clients[0].status, "rejected");
+  assert.strictEqual(store.getClient("UNI_1_abc").nom1, "Jean Dupont");
+});
+
+test("un lot anonyme ignore les champs de paiement", () => {
+  const store = createStore();
+  const created = store.applySyncBatch(
+    syncBatch("device-a", [registration({ id: "UNI_1_abc", paiement: "Payé" })])
+  );
+  assert.strictEqual(created.clients[0].status, "accepted");
+  assert.strictEqual(store.getClient("UNI_1_abc").paiement, "En attente");
+
+  const updated = store.applySyncBatch(
+    syncBatch("device-a", [
+      {
+        id: "UNI_1_abc",
+        nom1: "Jean Martin",
+        paiement: "Payé",
+        paymentMethod: "espèces",
+      },
+    ])
+  );
+  assert.strictEqual(updated.clients[0].status, "accepted");
+  const client = store.getClient("UNI_1_abc");
+  assert.strictEqual(client.nom1, "Jean Martin");
+  assert.strictEqual(client.paiement, "En attente");
+  assert.notStrictEqual(client.paymentMethod, "espèces");
+});
+
+test("un lot anonyme ne peut pas enregistrer de paiement", () => {
+  const store = createStore();
+  const client = store.createClient(registration());
+  const acks = store.applySyncBatch(
+    syncBatch("device-a", [], [{ id: "p_1", clientId: client.id, amount: 10 }])
+  );
+  assert.strictEqual(acks.payments[0].status, "rejected");
+  assert.strictEqual(acks.payments[0].code, "forbidden");
+});
+
+test("un caissier ne synchronise que les champs de paiement", () => {
+  const store = createStore();
+  const client = store.createClient(registration());
+  const cashier = {
+    allowedFields: ["paiement", "paymentMethod", "paymentDate"],
+  };
+  // L'inscription n'est pas liée à l'appareil : seul un administrateur y touche
+  const rejected = store.applySyncBatch(
+    syncBatch("caisse", [{ id: client.id, paiement: "Payé" }]),
+    cashier
+  );
+  assert.strictEqual(rejected.clients[0].status, "rejected");
+
+  store.applySyncBatch(
+    syncBatch("caisse", [registration({ id: "UNI_1_abc" })]),
+    cashier
+  );
+  const acks = store.applySyncBatch(
+    syncBatch("caisse", [
+      { id: "UNI_1_abc", nom1: "Autre Nom", paiement: "Payé" },
+    ]),
+    cashier
+  );
+  assert.strictEqual(acks.clients[0].status, "accepted");
+  assert.strictEqual(store.getClient("UNI_1_abc").nom1, "Jean Dupont");
+  assert.strictEqual(store.getClient("UNI_1_abc").paiement, "Payé");
+});
+
+test("un administrateur modifie toute inscription par lot", () => {
+  const store = createStore();
+  const client = store.createClient(registration());
+  const acks = store.applySyncBatch(
+    syncBatch("admin", [
+      { id: client.id, nom1: "Jean Martin", paiement: "Payé" },
+    ]),
+    { isAdmin: true }
+  );
+  assert.strictEqual(acks.clients[0].status, "accepted");
+  assert.strictEqual(store.getClient(client.id).nom1, "Jean Martin");
+  assert.strictEqual(store.getClient(client.id).paiement, "Payé");
+});
+
+// ==================== RÉSERVATIONS ET PRESTATAIRE ====================
+const HOUR = 60 * 60 * 1000;
+
+function succeeded(client, id = "evt_1") {
+  return {
+    id,
+    type: "payment.succeeded",
+    data: {
+      clientId: client.id,
+      amount: client.amount,
+      currency: client.currency,
+    },
+  };
+}
+
+test("une réservation avec un paiement mobile en cours n'expire pas", () => {
+  const store = createEventStore();
+  const client = store.createClient(registration());
+  store.openProviderPayment(client.id, {
+    method: "MTN Mobile Money",
+    providerPaymentId: "req_1",
+  });
+
+  assert.deepStrictEqual(store.expireHolds(Date.now() + HOUR / 2 + 60000), []);
+  assert.strictEqual(store.getClient(client.id).paiement, "En attente");
+
+  const result = store.applyPaymentWebhook(succeeded(client));
+  assert.strictEqual(result.status, "updated");
+  assert.strictEqual(store.getClient(client.id).paiement, "Payé");
+});
+
+test("un paiement abouti après l'expiration reprend la réservation", () => {
+  const store = createEventStore();
+  const client = store.createClient(registration());
+  store.openProviderPayment(client.id, {
+    method: "MTN Mobile Money",
+    providerPaymentId: "req_1",
+  });
+
+  // Sans notification dans le délai, la place est rendue
+  const expired = store.expireHolds(Date.now() + 2 * HOUR);
+  assert.strictEqual(expired.length, 1);
+  assert.strictEqual(store.getClient(client.id).paiement, "Expiré");
+
+  store.applyPaymentWebhook(succeeded(client));
+  const paid = store.getClient(client.id);
+  assert.strictEqual(paid.paiement, "Payé");
+  assert.strictEqual(paid.holdExpiresAt, null);
+});
+
+test("un paiement abouti sur une place reprise passe « À vérifier »", () => {
+  const store = createEventStore();
+  store.eventConfig.updateCapacity(undefined, { ticketTypes: { unite: 1 } });
+  const client = store.createClient(registration());
+  store.expireHolds(Date.now() + HOUR);
+  store.createClient(registration({ email: "marie@example.com" }));
+
+  const result = store.applyPaymentWebhook(succeeded(client));
+  assert.strictEqual(result.status, "updated");
+  assert.strictEqual(store.getClient(client.id).paiement, "À vérifier");
+});
+
+// ==================== NOTIFICATIONS INAPPLICABLES ====================
+test("un encaissement sur une inscription annulée passe « À vérifier »", () => {
+  const store = createEventStore();
+  const client = store.createClient(registration());
+  store.applyPaymentWebhook({
+    id: "evt_cancel",
+    type: "payment.cancelled",
+    data: { clientId: client.id },
+  });
+  assert.strictEqual(store.getClient(client.id).paiement, "Annulé");
+
+  const result = store.applyPaymentWebhook(succeeded(client));
+  assert.strictEqual(result.status, "updated");
+  assert.strictEqual(store.getClient(client.id).paiement, "À vérifier");
+});
+
+test("une notification impossible à appliquer est acquittée « ignored »", () => {
+  const store = createEventStore();
+  const client = store.createClient(registration());
+  store.applyPaymentWebhook(succeeded(client));
+
+  // Échec tardif après l'encaissement : rien ne change, pas d'erreur
+  const late = store.applyPaymentWebhook({
+    id: "evt_late",
+    type: "payment.failed",
+    data: { clientId: client.id },
+  });
+  assert.strictEqual(late.status, "ignored");
+  assert.match(late.reason, /Transition de paiement impossible/);
+  assert.strictEqual(store.getClient(client.id).paiement, "Payé");
+
+  // Le rejeu de la même notification est un doublon
+  assert.strictEqual(
+    store.applyPaymentWebhook({ id: "evt_late", type: "payment.failed" })
+      .status,
+    "duplicate"
+  );
+});
+
+test("une notification pour un client inconnu est acquittée « ignored »", () => {
+  const store = createEventStore();
+  const result = store.applyPaymentWebhook({
+    id: "evt_unknown",
+    type: "payment.succeeded",
+    data: { clientId: "UNI_1_inconnu", amount: 3000 },
+  });
+  assert.strictEqual(result.status, "ignored");
+  assert.strictEqual(result.client, null);
+});
+
+test("une notification sans identifiant reste refusée", () => {
+  const store = createEventStore();
+  assert.throws(
+    () => store.applyPaymentWebhook({ type: "payment.succeeded" }),
+    /Identifiant de notification manquant/
+  );
+});
+
+test("l'heure de l'appareil ne décide pas du dernier modifié", () => {
+  const store = createStore();
+  store.applySyncBatch(
+    syncBatch("device-a", [registration({ id: "UNI_1_abc" })])
+  );
+  const before = Date.now();
+  const acks = store.applySyncBatch(
+    syncBatch("device-a", [
+      {
+        id: "UNI_1_abc",
+        nom1: "Jean Martin",
+        version: 1,
+        lastUpdated: "2099-01-01T00:00:00.000Z",
+      },
+    ])
+  );
+  assert.strictEqual(acks.clients[0].version, 2);
+  const client = store.getClient("UNI_1_abc");
+  assert.strictEqual(client.nom1, "Jean Martin");
+  assert.ok(new Date(client.lastUpdated).getTime() - before < 60000);
+});
+
+test("une modification faite sur une version dépassée n'est pas appliquée", () => {
+  const store = createStore();
+  store.applySyncBatch(
+    syncBatch("device-a", [registration({ id: "UNI_1_abc" })])
+  );
+  // Un administrateur modifie l'inscription entre-temps (version 2)
+  store.updateClient("UNI_1_abc", { nom1: "Jean Admin" });
+
+  const acks = store.applySyncBatch(
+    syncBatch("device-a", [
+      { id: "UNI_1_abc", nom1: "Jean Appareil", version: 1 },
+    ])
+  );
+  assert.strictEqual(acks.clients[0].status, "accepted");
+  assert.strictEqual(store.getClient("UNI_1_abc").nom1, "Jean Admin");
+});
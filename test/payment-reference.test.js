@@ -0,0 +1,52 @@
+// Tests des références de paiement : node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert");
+const PaymentReference = require("../payment-reference");
+
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const reference = PaymentReference.fromClientId("UNI_1735934400000_k3j9x2m1a");
+
+test("la référence est stable et au format XXXX-XXXX-C", () => {
+  assert.match(reference, /^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]$/);
+  assert.strictEqual(
+    PaymentReference.fromClientId("UNI_1735934400000_k3j9x2m1a"),
+    reference
+  );
+  assert.notStrictEqual(
+    PaymentReference.fromClientId("UNI_1735934400000_k3j9x2m1b"),
+    reference
+  );
+  assert.strictEqual(PaymentReference.parse(reference), reference);
+});
+
+test("tout caractère mal recopié est détecté", () => {
+  const compact = PaymentReference.compact(reference);
+  for (let i = 0; i < compact.length; i++) {
+    for (const char of ALPHABET) {
+      if (char === compact[i]) continue;
+      const typo = compact.slice(0, i) + char + compact.slice(i + 1);
+      assert.strictEqual(PaymentReference.isValid(typo), false, typo);
+    }
+  }
+});
+
+test("la saisie tolère casse, espaces, tirets et confusions O/0, I/L/1", () => {
+  const compact = PaymentReference.compact(reference);
+  const typed = compact
+    .toLowerCase()
+    .replace(/0/g, "o")
+    .replace(/1/g, "l")
+    .replace(/(.{4})/, "$1 ");
+  assert.strictEqual(PaymentReference.parse(typed), reference);
+});
+
+test("une référence de mauvaise longueur ou hors alphabet est refusée", () => {
+  const compact = PaymentReference.compact(reference);
+  [
+    compact.slice(1),
+    `${compact}0`,
+    `${compact.slice(0, 8)}U`,
+    "",
+    null,
+  ].forEach((input) => assert.strictEqual(PaymentReference.parse(input), null));
+});
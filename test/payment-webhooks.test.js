@@ -0,0 +1,99 @@
+// Tests des notifications signées du prestataire : node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { WebhookVerifier, WEBHOOK_TOLERANCE } = require("../payment-webhooks");
+const { BilletStore } = require("../billet-store");
+
+function createVerifier() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bielleterie-"));
+  return new WebhookVerifier(path.join(dir, "webhook-secret"));
+}
+
+function notification(fields = {}) {
+  return Buffer.from(
+    JSON.stringify({
+      id: "evt_1",
+      type: "payment.succeeded",
+      data: { clientId: "UNI_1_abc", amount: 3000 },
+      ...fields,
+    })
+  );
+}
+
+test("une notification correctement signée est décodée", () => {
+  const verifier = createVerifier();
+  const body = notification();
+  const decoded = verifier.verify(body, verifier.sign(body));
+  assert.strictEqual(decoded.id, "evt_1");
+});
+
+test("une signature faite avec un autre secret est refusée", () => {
+  const verifier = createVerifier();
+  const body = notification();
+  assert.throws(
+    () => verifier.verify(body, createVerifier().sign(body)),
+    (error) => error.status === 401 && error.code === "invalid_signature"
+  );
+});
+
+test("un corps modifié après signature est refusé", () => {
+  const verifier = createVerifier();
+  const header = verifier.sign(notification());
+  assert.throws(
+    () => verifier.verify(notification({ type: "payment.refunded" }), header),
+    /Signature invalide/
+  );
+});
+
+test("un en-tête absent ou mal formé est refusé", () => {
+  const verifier = createVerifier();
+  const body = notification();
+  [undefined, "", "t=abc,v1=00", "v1=" + "0".repeat(64)].forEach((header) =>
+    assert.throws(() => verifier.verify(body, header), /Signature absente/)
+  );
+});
+
+test("une notification hors tolérance est refusée, même bien signée", () => {
+  const verifier = createVerifier();
+  const body = notification();
+  const now = Date.now();
+  const old = Math.floor(now / 1000) - WEBHOOK_TOLERANCE - 1;
+  const future = Math.floor(now / 1000) + WEBHOOK_TOLERANCE + 1;
+
+  [old, future].forEach((timestamp) =>
+    assert.throws(
+      () => verifier.verify(body, verifier.sign(body, timestamp), now),
+      (error) => error.code === "stale_webhook"
+    )
+  );
+});
+
+test("une notification rejouée n'est appliquée qu'une fois", () => {
+  const verifier = createVerifier();
+  const store = new BilletStore(
+    path.join(path.dirname(verifier.secretPath), "db.json")
+  );
+  const client = store.createClient({
+    nom1: "Jean Dupont",
+    email: "jean@example.com",
+    phone: "+79990001122",
+    type: "unite",
+  });
+  const body = notification({ data: { clientId: client.id, amount: 0 } });
+  const header = verifier.sign(body);
+
+  // La signature reste valide pendant la tolérance : l'identifiant écarte le rejeu
+  const first = store.applyPaymentWebhook(verifier.verify(body, header));
+  const replay = store.applyPaymentWebhook(verifier.verify(body, header));
+  assert.strictEqual(first.status, "updated");
+  assert.strictEqual(replay.status, "duplicate");
+  assert.strictEqual(
+    Object.values(store.data.payments).filter(
+      (payment) => payment.clientId === client.id
+    ).length,
+    1
+  );
+});
@@ -0,0 +1,147 @@
+// Tests du rapprochement bancaire (reconciliation.js, script navigateur
+// chargé dans un contexte minimal avec payment-reference.js)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const PaymentReference = require("../payment-reference");
+
+function loadReconciler() {
+  const context = { window: {}, PaymentReference };
+  vm.createContext(context);
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "..", "reconciliation.js"), "utf8"),
+    context
+  );
+  return context.window.bankReconciler;
+}
+
+const reconciler = loadReconciler();
+
+function candidate(id, amount, names) {
+  return {
+    client: { id },
+    amount,
+    reference: PaymentReference.fromClientId(id),
+    names,
+  };
+}
+
+const jean = candidate("UNI_1_jean", 3000, ["Jean Dupont"]);
+const marie = candidate("UNI_1_marie", 3000, ["Marie Dupont"]);
+const paul = candidate("CPL_1_paul", 5000, ["Paul Martin", "Lucie Martin"]);
+const candidates = [jean, marie, paul];
+
+function line(fields) {
+  return { line: 2, date: "", sender: "", comment: "", ...fields };
+}
+
+// Valeurs du contexte du script recopiées (prototypes d'un autre contexte)
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Identifiants des clients proposés, triés
+function ids(matches) {
+  return plain(matches.map((match) => match.candidate.client.id).sort());
+}
+
+test("référence et montant exacts : correspondance sûre", () => {
+  const result = reconciler.reconcile(
+    [line({ amount: 3000, comment: `Gala ${jean.reference.toLowerCase()}` })],
+    candidates
+  );
+  assert.strictEqual(result.confident.length, 1);
+  assert.strictEqual(result.confident[0].match.candidate, jean);
+});
+
+test("référence avec un autre montant : à départager", () => {
+  const result = reconciler.reconcile(
+    [line({ amount: 2500, comment: jean.reference })],
+    candidates
+  );
+  assert.strictEqual(result.confident.length, 0);
+  assert.deepStrictEqual(ids(result.ambiguous[0].matches), ["UNI_1_jean"]);
+  assert.ok(result.ambiguous[0].matches[0].reasons.includes("montant ≠"));
+});
+
+test("un émetteur qui désigne plusieurs clients : à départager", () => {
+  const result = reconciler.reconcile(
+    [line({ amount: 3000, sender: "DUPONT J." })],
+    candidates
+  );
+  assert.strictEqual(result.confident.length, 0);
+  assert.deepStrictEqual(ids(result.ambiguous[0].matches), [
+    "UNI_1_jean",
+    "UNI_1_marie",
+  ]);
+});
+
+test("le montant seul n'est jamais sûr", () => {
+  const alone = reconciler.reconcile(
+    [line({ amount: 5000, sender: "Inconnu" })],
+    candidates
+  );
+  assert.strictEqual(alone.confident.length, 0);
+  assert.deepStrictEqual(ids(alone.ambiguous[0].matches), ["CPL_1_paul"]);
+
+  // Montant et émetteur uniques : sûr (accents ignorés)
+  const named = reconciler.reconcile(
+    [line({ amount: 5000, sender: "LUCIE MARTÍN" })],
+    candidates
+  );
+  assert.strictEqual(named.confident[0].match.candidate, paul);
+});
+
+test("deux lignes sûres pour un même client deviennent ambiguës", () => {
+  const result = reconciler.reconcile(
+    [
+      line({ line: 2, amount: 3000, comment: jean.reference }),
+      line({ line: 3, amount: 3000, sender: "Jean Dupont" }),
+    ],
+    [jean, paul]
+  );
+  assert.strictEqual(result.confident.length, 0);
+  assert.deepStrictEqual(
+    plain(result.ambiguous.map((entry) => entry.line.line)),
+    [2, 3]
+  );
+  result.ambiguous.forEach((entry) =>
+    assert.ok(entry.matches[0].reasons.includes("doublon"))
+  );
+});
+
+test("débits et lignes sans montant ignorés, le reste sans correspondance", () => {
+  const result = reconciler.reconcile(
+    [
+      line({ amount: -3000, comment: jean.reference }),
+      line({ amount: null }),
+      line({ amount: 1234 }),
+    ],
+    candidates
+  );
+  assert.strictEqual(result.ignored.length, 2);
+  assert.strictEqual(result.unmatched.length, 1);
+});
+
+test("les montants et le CSV des relevés sont lus", () => {
+  assert.strictEqual(reconciler.parseAmount("1 500,00 ₽"), 1500);
+  assert.strictEqual(reconciler.parseAmount("1,500.50"), 1500.5);
+  assert.strictEqual(reconciler.parseAmount("-3000.00"), -3000);
+  assert.strictEqual(reconciler.parseAmount("n/a"), null);
+
+  const { headers, rows } = reconciler.parseCsv(
+    'Дата;Сумма;Назначение\r\n03.01.2026;"3 000,00";"Gala ""Jean"""\r\n'
+  );
+  assert.deepStrictEqual(plain(headers), ["Дата", "Сумма", "Назначение"]);
+  assert.deepStrictEqual(plain(rows), [
+    ["03.01.2026", "3 000,00", 'Gala "Jean"'],
+  ]);
+  assert.deepStrictEqual(plain(reconciler.guessMapping(headers)), {
+    date: 0,
+    amount: 1,
+    sender: null,
+    comment: 2,
+  });
+});
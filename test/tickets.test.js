@@ -0,0 +1,65 @@
+// Tests des billets signés : node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TicketSigner, TICKET_VERSION } = require("../tickets");
+
+function createSigner() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bielleterie-"));
+  return new TicketSigner(path.join(dir, "ticket-key"));
+}
+
+const paid = { id: "UNI_1_abc", eventId: "gala-2026", paiement: "Payé" };
+
+test("un billet émis est reconnu", () => {
+  const signer = createSigner();
+  const token = signer.issue(paid);
+  assert.ok(token.startsWith(`${TICKET_VERSION}.gala-2026.UNI_1_abc.`));
+  assert.deepStrictEqual(signer.verify(token), {
+    eventId: "gala-2026",
+    clientId: "UNI_1_abc",
+  });
+});
+
+test("un billet modifié est refusé", () => {
+  const signer = createSigner();
+  const [version, eventId, , signature] = signer.issue(paid).split(".");
+
+  // Autre inscription, autre événement ou signature altérée
+  [
+    [version, eventId, "UNI_1_xyz", signature],
+    [version, "gala-2027", "UNI_1_abc", signature],
+    [
+      version,
+      eventId,
+      "UNI_1_abc",
+      signature.replace(/^./, (c) => (c === "A" ? "B" : "A")),
+    ],
+    ["BLT2", eventId, "UNI_1_abc", signature],
+  ].forEach((parts) =>
+    assert.strictEqual(signer.verify(parts.join(".")), null)
+  );
+  assert.strictEqual(signer.verify("BLT1.gala-2026.UNI_1_abc"), null);
+  assert.strictEqual(signer.verify(undefined), null);
+});
+
+test("un billet signé avec une autre clé est refusé", () => {
+  assert.strictEqual(createSigner().verify(createSigner().issue(paid)), null);
+});
+
+test("la clé exportée vérifie les billets (application de contrôle)", () => {
+  const signer = createSigner();
+  const token = signer.issue(paid);
+  const copy = new TicketSigner(signer.keyPath);
+  assert.strictEqual(copy.exportKey(), signer.exportKey());
+  assert.ok(copy.verify(token));
+});
+
+test("aucun billet pour une inscription non payée", () => {
+  assert.throws(
+    () => createSigner().issue({ ...paid, paiement: "En attente" }),
+    (error) => error.code === "not_paid"
+  );
+});
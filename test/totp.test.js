@@ -0,0 +1,77 @@
+// Tests de la double authentification (TOTP) : node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  TOTP_CONFIG,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+} = require("../totp");
+
+// Secret des vecteurs de test de la RFC 6238 (« 12345678901234567890 »)
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const STEP = TOTP_CONFIG.STEP * 1000;
+
+test("les codes suivent les vecteurs de la RFC 6238 (6 chiffres)", () => {
+  assert.strictEqual(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.strictEqual(generateCode(RFC_SECRET, 59 * 1000), "287082");
+  assert.strictEqual(generateCode(RFC_SECRET, 1111111109 * 1000), "081804");
+  assert.strictEqual(generateCode(RFC_SECRET, 1234567890 * 1000), "005924");
+});
+
+test("un décalage d'un pas est toléré, pas au-delà", () => {
+  const secret = generateSecret();
+  const time = Date.UTC(2026, 0, 3, 21, 0, 10);
+  const counter = Math.floor(time / STEP);
+
+  [-1, 0, 1].forEach((drift) =>
+    assert.strictEqual(
+      verifyCode(secret, generateCode(secret, time + drift * STEP), { time }),
+      counter + drift
+    )
+  );
+  [-2, 2].forEach((drift) =>
+    assert.strictEqual(
+      verifyCode(secret, generateCode(secret, time + drift * STEP), { time }),
+      null
+    )
+  );
+});
+
+test("un code déjà utilisé n'est pas accepté une seconde fois", () => {
+  const secret = generateSecret();
+  const time = Date.now();
+  const code = generateCode(secret, time);
+  const counter = verifyCode(secret, code, { time });
+
+  assert.notStrictEqual(counter, null);
+  assert.strictEqual(
+    verifyCode(secret, code, { time, afterCounter: counter }),
+    null
+  );
+});
+
+test("un code mal formé est refusé", () => {
+  const secret = generateSecret();
+  ["", "12345", "1234567", "abcdef", null].forEach((code) =>
+    assert.strictEqual(verifyCode(secret, code), null)
+  );
+  // Espaces tolérés à la saisie (« 123 456 »)
+  const code = generateCode(secret);
+  assert.notStrictEqual(
+    verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`),
+    null
+  );
+});
+
+test("le secret base32 se relit à l'identique", () => {
+  const bytes = Buffer.from("bielleterie-secret");
+  assert.deepStrictEqual(base32Decode(base32Encode(bytes)), bytes);
+  assert.deepStrictEqual(
+    base32Decode("gezd-gnbv gy3t"),
+    base32Decode("GEZDGNBVGY3T")
+  );
+  assert.throws(() => base32Decode("GEZ1"), /Secret base32 invalide/);
+});
@@ -0,0 +1,1234 @@
+// ticket-form.js - Formulaire d'inscription commun à toutes les pages de billet
+// Monté sur l'élément marqué dans la page :
+//   <div class="billet" data-ticket-form data-ticket-type="couple" data-guests="2">
+// Sans data-ticket-type, le type vient du paramètre ?type= (billet.html).
+// Les champs sont rendus d'après le type de billet de l'événement (event-info.js) :
+// un nom par invité (guests), puis email, téléphone, questions de l'organisateur
+// et code promo. data-guests sert de repli tant que la configuration n'est pas chargée.
+
+// Coordonnées demandées pour tous les types de billet
+const CONTACT_FIELDS = [
+  {
+    name: "email",
+    kind: "email",
+    placeholder: "Entrez votre e-mail",
+    maxLength: 100,
+    required: true,
+  },
+  {
+    name: "phone",
+    kind: "tel",
+    placeholder: "Entrez votre numero",
+    maxLength: 15,
+    required: true,
+  },
+];
+const PROMO_FIELD = {
+  name: "promoCode",
+  kind: "promo",
+  placeholder: "Code promo (facultatif)",
+  maxLength: 20,
+  required: false,
+};
+const INPUT_TYPES = { name: "text", email: "email", tel: "tel", promo: "text" };
+const MAX_ANSWER_LENGTH = 500;
+// Justificatif de virement : même limite que payment-proofs.js côté serveur
+const MAX_PROOF_BYTES = 5 * 1024 * 1024;
+
+class TicketForm {
+  constructor(root) {
+    this.root = root;
+    this.ticketType =
+      root.dataset.ticketType ||
+      new URLSearchParams(window.location.search).get("type");
+    this.schema = this.buildSchema({
+      label: root.querySelector("h1")
+        ? root.querySelector("h1").textContent
+        : "",
+      guests: Number(root.dataset.guests) || 1,
+      prefix: null,
+    });
+
+    // Tarif servi par le serveur (event-info.js) ; le montant facturé à
+    // l'inscription le remplace ensuite
+    this.amount = null;
+    this.currency = null;
+    this.promo = null; // remise validée par le serveur (aperçu)
+    this.waitlistToken = null; // offre de la liste d'attente (?claim=)
+    this.isSubmitting = false;
+
+    // Configuration EmailJS POUR VOTRE EMAIL
+    this.emailjsConfig = {
+      serviceId: "service_ckpdrn7", // Votre Service ID EmailJS
+      templateId: "template_5ddykem", // Votre Template ID EmailJS
+      publicKey: "ap0Ki_0sjm3K8LkR8", // Votre Public Key EmailJS
+      toEmail: "essongapea.a.b@gmail.com", // VOTRE EMAIL - les données arriveront ici
+    };
+
+    this.init();
+  }
+
+  init() {
+    console.log(`🚀 Initialisation formulaire ${this.ticketType || "?"}...`);
+
+    // Initialiser EmailJS
+    this.initEmailJS();
+    this.render();
+    this.loadPricing().then(() => {
+      this.resumeFromLink();
+      this.claimFromLink();
+    });
+  }
+
+  initEmailJS() {
+    try {
+      // Initialiser EmailJS avec votre Public Key
+      emailjs.init(this.emailjsConfig.publicKey);
+      console.log(
+        "✅ EmailJS initialisé pour envoyer à:",
+        this.emailjsConfig.toEmail
+      );
+    } catch (error) {
+      console.error("❌ Erreur initialisation EmailJS:", error);
+    }
+  }
+
+  async loadPricing() {
+    try {
+      await eventInfo.load();
+    } catch (error) {
+      console.warn("⚠️ Tarifs indisponibles:", error.message);
+      return;
+    }
+
+    const ticketType =
+      this.ticketType && eventInfo.getTicketType(this.ticketType);
+    if (!ticketType) {
+      this.showError("Ce type de billet n'est pas proposé pour cet événement");
+      document.getElementById("submitBtn").disabled = true;
+      return;
+    }
+
+    this.amount = ticketType.price;
+    this.currency = eventInfo.config.currency;
+    this.schema = this.buildSchema(ticketType);
+    this.render();
+  }
+
+  formatAmount() {
+    return eventInfo.formatAmount(this.amount, this.currency);
+  }
+
+  // Lien de l'email d'expiration : ?resume=<identifiant d'inscription>
+  // rouvre la fenêtre de paiement si la place est encore libre
+  async resumeFromLink() {
+    const clientId = new URLSearchParams(window.location.search).get("resume");
+    if (!clientId) return;
+
+    try {
+      const clientData = await billetAPI.resumeRegistration(clientId);
+      if (clientData.amount !== null && clientData.amount !== undefined) {
+        this.amount = clientData.amount;
+        this.currency = clientData.currency || this.currency;
+      }
+      await this.processPayment(clientData);
+    } catch (error) {
+      console.error("❌ Erreur reprise de l'inscription:", error);
+      this.showError(error.message || "Inscription introuvable");
+    }
+  }
+
+  // Lien de la liste d'attente : ?claim=<jeton de l'offre>. La place est
+  // tenue jusqu'à l'échéance de l'offre ; le formulaire est prérempli.
+  async claimFromLink() {
+    const token = new URLSearchParams(window.location.search).get("claim");
+    if (!token) return;
+
+    try {
+      const offer = await billetAPI.getWaitlistOffer(token);
+      this.waitlistToken = token;
+      Object.entries({
+        user1: offer.name,
+        email: offer.email,
+        phone: offer.phone,
+      }).forEach(([name, value]) => {
+        const input = this.root.querySelector(`[name="${name}"]`);
+        if (input && !input.value && value) input.value = value;
+      });
+      this.showSuccess(
+        `Place réservée pour vous jusqu'au ${new Date(
+          offer.offerExpiresAt
+        ).toLocaleString([], {
+          day: "numeric",
+          month: "long",
+          hour: "2-digit",
+          minute: "2-digit",
+        })}`
+      );
+    } catch (error) {
+      console.error("❌ Erreur offre de la liste d'attente:", error);
+      this.showError(error.message || "Offre introuvable");
+    }
+  }
+
+  // ==================== SCHÉMA ET RENDU ====================
+  // { label, guests, prefix, fields } : un champ nom par invité, les coordonnées,
+  // puis les questions de l'événement pour ce type (champ q_<id>)
+  buildSchema(ticketType) {
+    const guests = ticketType.guests || 1;
+    const names = Array.from({ length: guests }, (_, i) => ({
+      name: `user${i + 1}`,
+      kind: "name",
+      placeholder:
+        i === 0
+          ? "Entrez votre nom"
+          : guests === 2
+          ? "Nom de votre partenaire"
+          : `Nom de l'invité ${i + 1}`,
+      maxLength: 50,
+      required: true,
+    }));
+
+    const questions = eventInfo
+      .questionsFor(this.ticketType)
+      .map((question) => ({
+        name: `q_${question.id}`,
+        kind: "question",
+        question,
+        placeholder: question.required
+          ? question.label
+          : `${question.label} (facultatif)`,
+        maxLength: MAX_ANSWER_LENGTH,
+        required: question.required,
+      }));
+
+    return {
+      label: ticketType.label,
+      guests,
+      prefix: ticketType.prefix,
+      fields: [...names, ...CONTACT_FIELDS, ...questions, PROMO_FIELD],
+    };
+  }
+
+  // Billet à un nom : un seul bloc ; sinon noms puis « Votre mail » à part.
+  // Un nouveau rendu garde ce qui a déjà été saisi.
+  render() {
+    const values = this.readValues();
+    const title = document.createElement("h1");
+    title.className = "ligne";
+    title.textContent = this.schema.label;
+    if (this.schema.label) document.title = `Billet - ${this.schema.label}`;
+
+    const names = document.createElement("div");
+    names.className = "user";
+    let contact = names;
+    const blocks = [title, names];
+    if (this.schema.guests > 1) {
+      const heading = document.createElement("h3");
+      heading.textContent = "Votre mail";
+      contact = document.createElement("div");
+      contact.className = "user-data";
+      blocks.push(heading, contact);
+    }
+
+    this.schema.fields.forEach((field) => {
+      const element =
+        field.kind === "question"
+          ? this.createQuestionInput(field, values[field.name])
+          : this.createInput(field, values[field.name]);
+      (field.kind === "name" ? names : contact).appendChild(element);
+    });
+
+    const hint = document.createElement("div");
+    hint.className = "promo-hint";
+    hint.id = "promoHint";
+    const buttonBlock = document.createElement("div");
+    buttonBlock.className = "use-btn";
+    buttonBlock.innerHTML =
+      '<button type="button" class="users-btn" id="submitBtn">Entrer</button>';
+    contact.append(hint, buttonBlock);
+
+    this.root.replaceChildren(...blocks);
+    this.setupFormSubmission();
+    if (values.promoCode) this.applyPromoCode();
+  }
+
+  createInput(field, value = "") {
+    const input = document.createElement("input");
+    input.type = INPUT_TYPES[field.kind] || "text";
+    input.className = "users";
+    input.id = field.name;
+    input.name = field.name;
+    input.placeholder = field.placeholder;
+    input.maxLength = field.maxLength;
+    input.value = value;
+    if (field.kind === "promo") input.autocomplete = "off";
+
+    input.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        console.log("⌨️ Touche Entrée pressée");
+        this.handleFormSubmission();
+      }
+    });
+    input.addEventListener("input", () => this.validateInput(input, field));
+    if (field.kind === "promo") {
+      input.addEventListener("change", () => this.applyPromoCode());
+    }
+    return input;
+  }
+
+  // Question « text » : champ libre ; « select » : liste ; « checkbox » : case
+  createQuestionInput(field, value) {
+    const { question } = field;
+    if (question.kind === "text") return this.createInput(field, value);
+
+    if (question.kind === "select") {
+      const select = document.createElement("select");
+      select.className = "users";
+      select.id = field.name;
+      select.name = field.name;
+      select.add(new Option(field.placeholder, ""));
+      question.options.forEach((option) => select.add(new Option(option)));
+      select.value = value || "";
+      return select;
+    }
+
+    const label = document.createElement("label");
+    label.className = "question-check";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.id = field.name;
+    checkbox.name = field.name;
+    checkbox.checked = value === true;
+    label.append(checkbox, ` ${field.placeholder}`);
+    return label;
+  }
+
+  // { user1: "...", email: "...", q_taille: "M", ... } (textes sans espaces autour)
+  readValues() {
+    const values = {};
+    this.root.querySelectorAll("[name]").forEach((input) => {
+      values[input.name] =
+        input.type === "checkbox" ? input.checked : input.value.trim();
+    });
+    return values;
+  }
+
+  // { <questionId>: réponse } ; une question sans réponse est omise
+  readAnswers(values) {
+    const answers = {};
+    this.schema.fields
+      .filter((field) => field.kind === "question" && values[field.name])
+      .forEach((field) => {
+        answers[field.question.id] = values[field.name];
+      });
+    return answers;
+  }
+
+  ticketLabel() {
+    return this.schema.label || this.ticketType;
+  }
+
+  // « Nom 1 & Nom 2 » ; un couple sans second nom garde « & Partenaire »
+  formatNames(clientData) {
+    if (this.schema.guests === 2 && !clientData.nom2) {
+      return `${clientData.nom1} & Partenaire`;
+    }
+    return [clientData.nom1, clientData.nom2, ...(clientData.guestNames || [])]
+      .filter(Boolean)
+      .join(" & ");
+  }
+
+  // ==================== CODE PROMO ====================
+  // Aperçu du montant remisé ; l'inscription revalide le code côté serveur
+  async applyPromoCode() {
+    const hint = document.getElementById("promoHint");
+    const code = document.getElementById("promoCode").value.trim();
+
+    this.promo = null;
+    this.amount = eventInfo.price(this.ticketType);
+    hint.textContent = "";
+    hint.classList.remove("error");
+    if (!code) return;
+
+    try {
+      this.promo = await billetAPI.validatePromoCode(
+        code,
+        eventInfo.getEventId(),
+        this.ticketType
+      );
+      this.amount = this.promo.amount;
+      this.currency = this.promo.currency;
+      hint.textContent = `Réduction ${eventInfo.formatAmount(
+        this.promo.discount,
+        this.currency
+      )} : ${this.formatAmount()} au lieu de ${eventInfo.formatAmount(
+        this.promo.originalAmount,
+        this.currency
+      )}`;
+    } catch (error) {
+      hint.textContent =
+        error.status && error.status < 500
+          ? error.message
+          : "Code promo non vérifié (serveur injoignable)";
+      hint.classList.add("error");
+    }
+  }
+
+  // ==================== SAISIE ET VALIDATION ====================
+  setupFormSubmission() {
+    document.getElementById("submitBtn").addEventListener("click", (e) => {
+      e.preventDefault();
+      console.log("🔄 Clic sur le bouton Entrer");
+      this.handleFormSubmission();
+    });
+  }
+
+  // Filtrage pendant la frappe (les espaces entre deux noms restent permis)
+  validateInput(input, field) {
+    const value = input.value;
+
+    switch (field.kind) {
+      case "promo":
+        input.value = value
+          .trim()
+          .toUpperCase()
+          .replace(/[^A-Z0-9_-]/g, "");
+        break;
+      case "name":
+        input.value = value.replace(/[^a-zA-ZÀ-ÿ\s\-']/g, "");
+        break;
+      case "email":
+        input.style.borderColor =
+          value.trim() && !this.validateEmail(value.trim())
+            ? "#ff4757"
+            : "#ffffff";
+        break;
+      case "tel":
+        input.value = value.replace(/[^\d+\-\s()]/g, "");
+        input.style.borderColor =
+          input.value.trim() && !this.validatePhone(input.value.trim())
+            ? "#ff4757"
+            : "#ffffff";
+        break;
+    }
+  }
+
+  // Message d'erreur du champ rempli, null s'il est valide
+  validateField(field, value) {
+    if (!value) return null;
+    switch (field.kind) {
+      case "name":
+        return this.validateName(value)
+          ? null
+          : "Un nom contient des caractères non autorisés";
+      case "email":
+        return this.validateEmail(value)
+          ? null
+          : "Veuillez entrer un email valide";
+      case "tel":
+        return this.validatePhone(value)
+          ? null
+          : "Veuillez entrer un numéro de téléphone valide";
+      default:
+        return null;
+    }
+  }
+
+  async handleFormSubmission() {
+    if (this.isSubmitting) {
+      console.log("⏳ Déjà en cours de soumission...");
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.showLoading(true);
+
+    try {
+      console.log("🔄 Début du traitement du formulaire...");
+
+      const formData = this.getFormData();
+      if (!formData) {
+        this.isSubmitting = false;
+        this.showLoading(false);
+        return;
+      }
+
+      console.log("✅ Données du formulaire valides:", formData);
+
+      // ENREGISTRER L'INSCRIPTION SUR LE SERVEUR (source de référence)
+      const clientData = await this.saveToServer(formData);
+      if (!clientData) {
+        return;
+      }
+
+      // ENVOYER UNE COPIE À VOTRE EMAIL : l'inscription (et sa place) existe
+      // déjà sur le serveur, un échec d'EmailJS ne doit pas la faire refaire
+      const emailSent = await this.sendDataToYourEmail(clientData);
+      if (!emailSent) {
+        console.warn("⚠️ Copie EmailJS non envoyée:", clientData.id);
+      }
+
+      this.showSuccess("Inscription réussie !");
+
+      // Sauvegarder aussi en local
+      await this.saveClientData(clientData);
+
+      await this.processPayment(clientData);
+      this.resetForm();
+    } catch (error) {
+      console.error("❌ Erreur soumission:", error);
+      this.showError("Erreur lors de l'inscription. Veuillez réessayer.");
+    } finally {
+      this.isSubmitting = false;
+      this.showLoading(false);
+    }
+  }
+
+  // Champs requis manquants d'abord, puis le premier champ invalide
+  getFormData() {
+    if (!this.ticketType) {
+      this.showError("Type de billet manquant");
+      return null;
+    }
+
+    const values = this.readValues();
+    console.log("📝 Validation des données:", values);
+
+    const missing = this.schema.fields.some(
+      (field) => field.required && !values[field.name]
+    );
+    const error = missing
+      ? "Veuillez remplir tous les champs obligatoires"
+      : this.schema.fields
+          .map((field) => this.validateField(field, values[field.name]))
+          .find(Boolean);
+    if (error) {
+      this.showError(error);
+      return null;
+    }
+
+    const [nom1, nom2 = "", ...others] = this.schema.fields
+      .filter((field) => field.kind === "name")
+      .map((field) => values[field.name]);
+
+    return {
+      nom1: nom1,
+      nom2: nom2,
+      guestNames: others.filter(Boolean),
+      email: values.email,
+      phone: values.phone,
+      answers: this.readAnswers(values),
+      type: this.ticketType,
+      timestamp: new Date().toISOString(),
+      page: this.ticketType,
+      ip: "local",
+      userAgent: navigator.userAgent,
+      id: this.generateUniqueId(),
+      eventId: eventInfo.getEventId(),
+      promoCode: values.promoCode || null,
+      waitlistToken: this.waitlistToken,
+      paiement: "En attente",
+    };
+  }
+
+  validateEmail(email) {
+    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return re.test(email);
+  }
+
+  validatePhone(phone) {
+    const cleaned = phone.replace(/\s/g, "");
+    const re = /^[\+]?[0-9\-\s\(\)]{8,}$/;
+    return re.test(cleaned) && cleaned.replace(/\D/g, "").length >= 8;
+  }
+
+  validateName(name) {
+    const re = /^[a-zA-ZÀ-ÿ\s\-']+$/;
+    return re.test(name);
+  }
+
+  generateUniqueId() {
+    // Préfixe inconnu hors ligne : le serveur attribue alors l'identifiant
+    const prefix = this.schema.prefix || "UNI";
+    return (
+      prefix + "_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9)
+    );
+  }
+
+  // Bloc « invités » des emails : un nom par personne du billet
+  describeGuests(clientData) {
+    if (this.schema.guests === 1) {
+      return `📋 INFORMATIONS CLIENT:
+                            Nom: ${clientData.nom1}`;
+    }
+    const names = [
+      clientData.nom1,
+      clientData.nom2 || "Partenaire",
+      ...(clientData.guestNames || []),
+    ];
+    return [
+      `👫 INFORMATIONS DES INVITÉS:`,
+      ...names.map((name, i) => `Personne ${i + 1}: ${name}`),
+    ].join(`
+                            `);
+  }
+
+  describeAnswers(clientData) {
+    const lines = this.schema.fields
+      .filter((field) => field.kind === "question")
+      .map(
+        (field) =>
+          `${field.question.label}: ${
+            eventInfo.formatAnswer(
+              (clientData.answers || {})[field.question.id]
+            ) || "—"
+          }`
+      );
+    if (lines.length === 0) return "";
+    return ["📝 RÉPONSES:", ...lines, ""].join(`
+                            `);
+  }
+
+  async sendDataToYourEmail(clientData) {
+    try {
+      console.log("📧 Envoi des données client à votre email...");
+
+      const names = this.formatNames(clientData);
+
+      // Préparer les données pour l'email
+      const templateParams = {
+        to_email: this.emailjsConfig.toEmail, // VOTRE EMAIL
+        client_name: clientData.nom1,
+        partner_name: clientData.nom2 || "Partenaire",
+        client_email: clientData.email,
+        client_phone: clientData.phone,
+        billet_type: this.ticketLabel(),
+        amount: this.formatAmount(),
+        date_inscription: new Date().toLocaleDateString("fr-FR"),
+        timestamp: clientData.timestamp,
+        payment_status: "En attente",
+        reference: clientData.id,
+        payment_reference: this.paymentReference(clientData),
+        couple_names: names,
+        subject: `NOUVELLE INSCRIPTION ${this.ticketLabel().toUpperCase()} - ${names}`,
+        message: `
+                            NOUVELLE INSCRIPTION ${this.ticketLabel().toUpperCase()}:
+                            
+                            ${this.describeGuests(clientData)}
+                            Email: ${clientData.email}
+                            Téléphone: ${clientData.phone}
+                            ${this.describeAnswers(clientData)}
+                            🎫 INFORMATIONS BILLET:
+                            Type: ${this.ticketLabel()}
+                            Montant: ${this.formatAmount()}
+                            Code promo: ${clientData.promoCode || "Aucun"}
+                            Date: ${new Date().toLocaleDateString("fr-FR")}
+                            Référence: ${clientData.id}
+                            Référence de paiement: ${this.paymentReference(
+                              clientData
+                            )}
+                            
+                            📊 AUTRES INFORMATIONS:
+                            Page: ${clientData.page}
+                            User Agent: ${clientData.userAgent}
+                            Statut Paiement: ${clientData.paiement}
+                        `,
+      };
+
+      // Envoyer l'email avec EmailJS
+      const response = await emailjs.send(
+        this.emailjsConfig.serviceId,
+        this.emailjsConfig.templateId,
+        templateParams
+      );
+
+      console.log("✅ Données envoyées avec succès à votre email:", response);
+      this.showNotification("Données envoyées à votre email!", "success");
+      return true;
+    } catch (error) {
+      // Pas de message à l'acheteur : son inscription est enregistrée, le
+      // réessayer en créerait une seconde
+      console.error("❌ Erreur envoi email:", error);
+      return false;
+    }
+  }
+
+  async saveToServer(clientData) {
+    try {
+      console.log("🌐 Enregistrement de l'inscription sur le serveur...");
+      const saved = await billetAPI.createRegistration(clientData);
+      console.log("✅ Inscription enregistrée sur le serveur:", saved.id);
+      this.waitlistToken = null;
+      this.amount = saved.amount;
+      this.currency = saved.currency;
+      return { ...clientData, ...saved };
+    } catch (error) {
+      console.error("❌ Erreur enregistrement serveur:", error);
+      if (error.code === "SOLD_OUT") {
+        this.showError("Désolé, il n'y a plus de place pour ce billet.");
+        return null;
+      }
+      // Offre de la liste d'attente expirée ou déjà utilisée
+      if (
+        ["offer_not_found", "offer_claimed", "offer_expired"].includes(
+          error.code
+        )
+      ) {
+        this.waitlistToken = null;
+        this.showError(error.message);
+        return null;
+      }
+      this.showError(
+        error.status === 400
+          ? error.message
+          : "Serveur injoignable. Veuillez réessayer."
+      );
+      return null;
+    }
+  }
+
+  async saveClientData(clientData) {
+    try {
+      console.log("💾 Sauvegarde locale des données...");
+
+      // Fallback vers localStorage
+      const saved = this.saveToLocalStorage(clientData);
+      if (saved) {
+        console.log("✅ Client sauvegardé localement");
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error("❌ Erreur sauvegarde locale:", error);
+      return false;
+    }
+  }
+
+  saveToLocalStorage(clientData) {
+    try {
+      let clients =
+        JSON.parse(localStorage.getItem("bielleterie_clients")) || [];
+
+      // Vérifier les doublons
+      const isDuplicate = clients.some(
+        (client) =>
+          client.email === clientData.email || client.phone === clientData.phone
+      );
+
+      if (!isDuplicate) {
+        clients.push(clientData);
+
+        // Limiter à 100 entrées maximum
+        if (clients.length > 100) {
+          clients = clients.slice(-100);
+        }
+
+        localStorage.setItem("bielleterie_clients", JSON.stringify(clients));
+        console.log("✅ Client sauvegardé en localStorage");
+        return true;
+      } else {
+        console.log("⚠️ Client déjà enregistré");
+        return true;
+      }
+    } catch (error) {
+      console.error("❌ Erreur localStorage:", error);
+      return false;
+    }
+  }
+
+  async processPayment(clientData) {
+    return new Promise((resolve) => {
+      console.log("💳 Ouverture de la fenêtre de paiement...");
+
+      const paymentWindow = document.createElement("div");
+      paymentWindow.style.cssText = `
+                        position: fixed;
+                        top: 50%;
+                        left: 50%;
+                        transform: translate(-50%, -50%);
+                        background: rgba(0, 0, 0, 0.95);
+                        padding: 30px;
+                        border-radius: 15px;
+                        z-index: 10000;
+                        color: white;
+                        text-align: center;
+                        min-width: 300px;
+                        box-shadow: 0 0 50px rgba(255,107,107,0.3);
+                        border: 2px solid #ff6b6b;
+                        backdrop-filter: blur(10px);
+                    `;
+
+      const names = this.formatNames(clientData);
+      const reference = this.paymentReference(clientData);
+
+      paymentWindow.innerHTML = `
+                        <h3 style="color: #ff6b6b; margin-bottom: 20px;">💳 Paiement ${this.ticketLabel()}</h3>
+                        <p><strong>${names}</strong></p>
+                        <p>Email: ${clientData.email}</p>
+                        <p>Téléphone: ${clientData.phone}</p>
+                        <div style="margin: 20px 0; padding: 15px; background: rgba(255,107,107,0.1); border-radius: 10px;">
+                            <p style="font-size: 24px; font-weight: bold; color: #ff6b6b;">${this.formatAmount()}</p>
+                            ${
+                              clientData.holdExpiresAt
+                                ? `<p style="color: #ccc; font-size: 14px;">Place réservée jusqu'à ${new Date(
+                                    clientData.holdExpiresAt
+                                  ).toLocaleTimeString([], {
+                                    hour: "2-digit",
+                                    minute: "2-digit",
+                                  })}</p>`
+                                : ""
+                            }
+                        </div>
+
+                        <div style="margin: 20px 0;">
+                            <p style="color: #ccc;">Indiquez cette référence dans le commentaire du virement :</p>
+                            <p style="font-family: monospace; font-size: 26px; font-weight: bold; letter-spacing: 3px; margin: 10px 0;">${reference}</p>
+                            <button type="button" class="payment-reference-copy"
+                                    style="background: #666; color: white; padding: 8px 16px; border: none; border-radius: 8px; cursor: pointer; font-size: 14px;">
+                                📋 Copier la référence
+                            </button>
+                        </div>
+                        
+                        <div class="payment-step" style="margin: 20px 0;">
+                            <!-- Moyens de paiement (payment-methods.js) -->
+                        </div>
+                        
+                        <div style="margin: 20px 0;">
+                            <button id="cancelPayment" 
+                                    style="background: #666; color: white; padding: 10px 20px; border: none; border-radius: 8px; margin: 5px; cursor: pointer; font-size: 14px;">
+                                Annuler
+                            </button>
+                        </div>
+                        
+                        <p style="font-size: 12px; color: #ccc; margin-top: 20px;">
+                            Vous serez redirigé vers la plateforme de paiement sécurisée
+                        </p>
+                    `;
+
+      document.body.appendChild(paymentWindow);
+
+      paymentWindow.querySelector(".payment-reference-copy").onclick = () => {
+        navigator.clipboard
+          .writeText(reference)
+          .then(() => this.showNotification("Référence copiée", "info"))
+          .catch(() => this.showError(`Copiez la référence : ${reference}`));
+      };
+
+      const step = paymentWindow.querySelector(".payment-step");
+      const cancelButton = document.getElementById("cancelPayment");
+
+      // Un bouton par moyen de paiement disponible (payment-methods.js)
+      const showMethods = async () => {
+        step.innerHTML = `
+                            <p style="margin-bottom: 15px; color: #ccc;">Choisissez votre méthode de paiement :</p>
+                        `;
+        cancelButton.disabled = false;
+        (await paymentMethods.available()).forEach((method) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.style.cssText = `background: ${
+            method.color || "#0fd343b6"
+          }; color: ${
+            method.textColor || "white"
+          }; padding: 15px 25px; border: none; border-radius: 8px; margin: 10px; cursor: pointer; font-size: 16px; font-weight: bold; width: 200px; display: flex; align-items: center; justify-content: center; gap: 10px;`;
+          button.innerHTML = `<i class="${method.icon}"></i> ${method.label}`;
+          button.onclick = () =>
+            method.confirmation === "declaration"
+              ? declarePayment(method)
+              : payWithProvider(method);
+          step.appendChild(button);
+        });
+      };
+
+      // Le lien bancaire s'ouvre dans un nouvel onglet ; rien ne prouve ici
+      // que l'argent est arrivé : l'acheteur déclare son paiement, qui reste
+      // « À vérifier » jusqu'à la confirmation d'un administrateur.
+      const declarePayment = (method) => {
+        const bank = method.label;
+        console.log(`🏦 Paiement ${bank} sélectionné`);
+        window.open(method.link, "_blank");
+
+        step.innerHTML = `
+                            <p style="margin-bottom: 15px; color: #ccc;">${method.instructions}</p>
+                            <div class="payment-proof" style="display: flex; flex-direction: column; gap: 8px; text-align: left; font-size: 14px;">
+                                <label>Justificatif (capture ou reçu PDF)
+                                    <input type="file" name="proofFile" accept="image/jpeg,image/png,image/webp,application/pdf" style="width: 100%;">
+                                </label>
+                                <label>Heure du virement
+                                    <input type="datetime-local" name="transferredAt" style="width: 100%;">
+                                </label>
+                                <label>Nom de l'émetteur du virement
+                                    <input type="text" name="senderName" maxlength="100" style="width: 100%;">
+                                </label>
+                            </div>
+                            <button type="button" class="payment-claim"
+                                    style="background: #0fd343b6; color: white; padding: 15px 25px; border: none; border-radius: 8px; margin: 10px; cursor: pointer; font-size: 16px; font-weight: bold; width: 200px;">
+                                J'ai payé
+                            </button>
+                        `;
+        step.querySelector("[name=transferredAt]").value = this.localDateTime(
+          new Date()
+        );
+        step.querySelector("[name=senderName]").value = clientData.nom1;
+        step.querySelector(".payment-claim").onclick = async () => {
+          const claim = step.querySelector(".payment-claim");
+          claim.disabled = true;
+          const declared = await this.submitPaymentProof(
+            step,
+            clientData,
+            bank
+          );
+          claim.disabled = false;
+          if (!declared) return;
+
+          await this.sendPaymentConfirmation(
+            clientData,
+            "awaiting_verification",
+            bank
+          );
+          await this.handlePaymentResult(
+            "awaiting_verification",
+            clientData.id,
+            bank
+          );
+          paymentWindow.remove();
+          resolve(true);
+        };
+      };
+
+      // Le prestataire confirme lui-même : pas d'annulation pendant l'attente,
+      // une demande déjà partie pouvant encore être acceptée
+      const payWithProvider = async (method) => {
+        console.log(`💳 Paiement ${method.label} sélectionné`);
+        cancelButton.disabled = true;
+        let result = null;
+        try {
+          result = await method.start({
+            step,
+            clientData,
+            showError: (message) => this.showError(message),
+          });
+        } catch (error) {
+          console.error(`❌ Erreur paiement ${method.label}:`, error);
+          this.showError(
+            error.message || "Paiement indisponible, choisissez un autre moyen"
+          );
+        }
+        if (!result) {
+          showMethods();
+          return;
+        }
+
+        if (result.status === "timeout") {
+          this.showNotification(
+            `Paiement ${method.label} pas encore confirmé. Votre billet vous sera envoyé par email dès confirmation.`,
+            "info"
+          );
+          document.getElementById("submitBtn").disabled = false;
+        } else {
+          await this.sendPaymentConfirmation(
+            clientData,
+            result.status,
+            method.label
+          );
+          await this.handlePaymentResult(
+            result.status,
+            clientData.id,
+            method.label,
+            result.ticket
+          );
+        }
+        paymentWindow.remove();
+        resolve(result.status === "paid");
+      };
+
+      showMethods();
+
+      // Gestion de l'annulation
+      cancelButton.onclick = async () => {
+        console.log("❌ Paiement annulé");
+
+        await this.sendPaymentConfirmation(clientData, "cancelled", "Aucune");
+        await this.handlePaymentResult("cancelled", clientData.id, "Aucune");
+        paymentWindow.remove();
+        resolve(false);
+      };
+
+      // Désactiver le bouton de soumission pendant le paiement
+      document.getElementById("submitBtn").disabled = true;
+    });
+  }
+
+  // Attribuée par le serveur ; dérivée de l'identifiant à défaut (payment-reference.js)
+  paymentReference(clientData) {
+    return (
+      clientData.paymentReference ||
+      PaymentReference.fromClientId(clientData.id)
+    );
+  }
+
+  // Valeur d'un champ datetime-local (heure locale, sans fuseau)
+  localDateTime(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+  }
+
+  // Sans fichier, le paiement est simplement déclaré ; avec un fichier, il part
+  // au serveur avec l'heure et l'émetteur du virement. false : fenêtre conservée
+  async submitPaymentProof(step, clientData, bank) {
+    const file = step.querySelector("[name=proofFile]").files[0];
+    if (!file) return true;
+
+    const transferredAt = step.querySelector("[name=transferredAt]").value;
+    const senderName = step.querySelector("[name=senderName]").value.trim();
+    if (!transferredAt || !senderName) {
+      this.showError("Indiquez l'heure du virement et le nom de l'émetteur");
+      return false;
+    }
+    if (file.size > MAX_PROOF_BYTES) {
+      this.showError("Justificatif trop volumineux (max 5 Mo)");
+      return false;
+    }
+
+    try {
+      const proof = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+      await billetAPI.submitPaymentProof(clientData.id, {
+        proof,
+        transferredAt: new Date(transferredAt).toISOString(),
+        senderName,
+        method: bank,
+      });
+      console.log("🧾 Justificatif envoyé:", clientData.id);
+      return true;
+    } catch (error) {
+      console.error("❌ Erreur envoi justificatif:", error);
+      this.showError(
+        error.status ? error.message : "Envoi du justificatif impossible"
+      );
+      return false;
+    }
+  }
+
+  async sendPaymentConfirmation(clientData, status, bank) {
+    try {
+      console.log("📧 Envoi confirmation paiement...");
+
+      const names = this.formatNames(clientData);
+      const label = PaymentStates.labelOf(status) || status;
+
+      const templateParams = {
+        to_email: this.emailjsConfig.toEmail, // VOTRE EMAIL
+        client_name: clientData.nom1,
+        partner_name: clientData.nom2 || "Partenaire",
+        client_email: clientData.email,
+        client_phone: clientData.phone,
+        billet_type: this.ticketLabel(),
+        amount: this.formatAmount(),
+        payment_status: label.toUpperCase(),
+        payment_date: new Date().toLocaleDateString("fr-FR"),
+        bank_method: bank,
+        reference: clientData.id,
+        payment_reference: this.paymentReference(clientData),
+        couple_names: names,
+        subject: `PAIEMENT ${label.toUpperCase()} - ${names}`,
+        message: `
+                            STATUT DE PAIEMENT: ${label}
+                            BANQUE: ${bank}
+                            
+                            ${this.describeGuests(clientData)}
+                            Email: ${clientData.email}
+                            Téléphone: ${clientData.phone}
+                            
+                            💳 INFORMATIONS PAIEMENT:
+                            Type: ${this.ticketLabel()}
+                            Montant: ${this.formatAmount()}
+                            Date: ${new Date().toLocaleDateString("fr-FR")}
+                            Statut: ${label}
+                            Méthode: ${bank}
+                            Référence: ${clientData.id}
+                            Référence de paiement: ${this.paymentReference(
+                              clientData
+                            )}
+                        `,
+      };
+
+      await emailjs.send(
+        this.emailjsConfig.serviceId,
+        this.emailjsConfig.templateId,
+        templateParams
+      );
+
+      console.log("✅ Confirmation paiement envoyée");
+    } catch (error) {
+      console.error("❌ Erreur envoi confirmation paiement:", error);
+    }
+  }
+
+  // confirmed : { client, ticket } déjà obtenu auprès du serveur (prestataire)
+  async handlePaymentResult(status, clientId, bank, confirmed = null) {
+    try {
+      console.log(
+        `🔄 Traitement du résultat du paiement: ${status} via ${bank}`
+      );
+
+      const ticket =
+        confirmed || (await this.reportPaymentToServer(clientId, status, bank));
+      await this.updatePaymentStatus(clientId, status, bank);
+      await this.savePaymentRecord(clientId, status, bank);
+
+      // Réactiver le bouton
+      document.getElementById("submitBtn").disabled = false;
+
+      if (ticket) {
+        // Paiement déjà confirmé par un administrateur
+        this.showSuccess("Paiement confirmé ! Votre billet est validé.");
+        ticketView.show(ticket.ticket, ticket.client);
+        console.log("✅ Paiement confirmé");
+      } else if (status === "awaiting_verification") {
+        this.showNotification(
+          `Paiement via ${bank} en cours de vérification. Votre billet vous sera envoyé par email dès confirmation.`,
+          "info"
+        );
+        console.log("◌ Paiement déclaré, en attente de vérification");
+      } else if (status === "cancelled") {
+        this.showNotification("Paiement annulé.", "warning");
+        console.log("🟡 Paiement annulé");
+      } else {
+        this.showError("Paiement échoué. Veuillez réessayer.");
+        console.log("❌ Paiement échoué traité");
+      }
+    } catch (error) {
+      console.error("❌ Erreur traitement paiement:", error);
+      this.showError("Erreur lors du traitement du paiement.");
+      document.getElementById("submitBtn").disabled = false;
+    }
+  }
+
+  // Le serveur enregistre l'issue et renvoie le billet signé { client, ticket }
+  async reportPaymentToServer(clientId, status, bank) {
+    try {
+      const result = await billetAPI.reportPayment(clientId, status, bank);
+      return result.ticket ? result : null;
+    } catch (error) {
+      console.error("❌ Erreur retour paiement serveur:", error);
+      return null;
+    }
+  }
+
+  async updatePaymentStatus(clientId, status, bank) {
+    try {
+      // Mettre à jour le statut en localStorage
+      this.updatePaymentStatusFallback(clientId, status, bank);
+      console.log("✅ Statut paiement mis à jour:", clientId, status, bank);
+    } catch (error) {
+      console.error("❌ Erreur mise à jour statut paiement:", error);
+    }
+  }
+
+  updatePaymentStatusFallback(clientId, status, bank) {
+    try {
+      let clients =
+        JSON.parse(localStorage.getItem("bielleterie_clients")) || [];
+      const clientIndex = clients.findIndex((client) => client.id === clientId);
+      if (clientIndex !== -1) {
+        clients[clientIndex].paiement =
+          PaymentStates.labelOf(status) || "Échec";
+        clients[clientIndex].paymentMethod = bank;
+        clients[clientIndex].paymentDate = new Date().toISOString();
+        localStorage.setItem("bielleterie_clients", JSON.stringify(clients));
+        console.log("✅ Statut paiement mis à jour en fallback");
+      }
+    } catch (error) {
+      console.error("❌ Erreur fallback statut paiement:", error);
+    }
+  }
+
+  async savePaymentRecord(clientId, status, bank) {
+    try {
+      const payment = {
+        id: "pay_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9),
+        clientId: clientId,
+        amount: this.amount,
+        currency: this.currency,
+        status: status,
+        method: bank,
+        timestamp: new Date().toISOString(),
+        type: this.ticketType,
+      };
+
+      // Sauvegarder en localStorage
+      let payments =
+        JSON.parse(localStorage.getItem("bielleterie_payments")) || [];
+      payments.push(payment);
+      localStorage.setItem("bielleterie_payments", JSON.stringify(payments));
+
+      console.log("✅ Enregistrement de paiement sauvegardé");
+    } catch (error) {
+      console.error("❌ Erreur sauvegarde paiement:", error);
+    }
+  }
+
+  showLoading(show) {
+    const loading = document.getElementById("loading");
+    const submitBtn = document.getElementById("submitBtn");
+
+    if (show) {
+      loading.style.display = "block";
+      submitBtn.disabled = true;
+      submitBtn.textContent = "Traitement...";
+    } else {
+      loading.style.display = "none";
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Entrer";
+    }
+  }
+
+  showSuccess(message) {
+    this.showNotification(message, "success");
+  }
+
+  showError(message) {
+    this.showNotification(message, "error");
+  }
+
+  showNotification(message, type = "success") {
+    const notification = document.getElementById("notification");
+    notification.textContent = message;
+    notification.className = `notification ${type}`;
+    notification.style.display = "block";
+
+    console.log(`📢 Notification: ${message}`);
+
+    setTimeout(() => {
+      notification.style.display = "none";
+    }, 5000);
+  }
+
+  resetForm() {
+    this.root.querySelectorAll("[name]").forEach((input) => {
+      if (input.type === "checkbox") input.checked = false;
+      else input.value = "";
+    });
+    document.getElementById("promoHint").textContent = "";
+    this.promo = null;
+    this.amount = eventInfo.price(this.ticketType);
+    console.log("🔄 Formulaire réinitialisé");
+  }
+}
+
+// Initialisation : formulaire de la page (élément data-ticket-form)
+document.addEventListener("DOMContentLoaded", () => {
+  const root = document.querySelector("[data-ticket-form]");
+  if (!root) return;
+  console.log("📄 Page billet chargée - Prête à recevoir les inscriptions");
+  window.ticketForm = new TicketForm(root);
+});
+
+window.TicketForm = TicketForm;
@@ -0,0 +1,89 @@
+// ticket-view.js - Affichage du billet (QR code signé) après un paiement réussi
+// ticket : { token, qrCode } renvoyé par POST /api/registrations/:id/payment.
+// Sans module qrcode côté serveur, qrCode est null : le code texte reste présenté.
+class TicketView {
+  constructor() {
+    this.element = null;
+  }
+
+  show(ticket, client) {
+    this.close();
+
+    const event = eventInfo.config;
+    const ticketType = eventInfo.getTicketType(client.type);
+    const names = [client.nom1, client.nom2, ...(client.guestNames || [])]
+      .filter(Boolean)
+      .join(" & ");
+    const title = this.escape(event ? event.name : "Votre billet");
+    const label = this.escape(ticketType ? ticketType.label : client.type);
+    const when = event
+      ? `<p style="color: #ccc;">${this.escape(
+          `${eventInfo.formatDate()} - ${event.venue}`
+        )}</p>`
+      : "";
+    const qrCode = ticket.qrCode
+      ? `<img src="${ticket.qrCode}" alt="QR code du billet" style="margin: 20px auto; display: block; width: 220px; height: 220px; background: white; border-radius: 10px;">`
+      : "";
+    const download = ticket.qrCode
+      ? `<a href="${ticket.qrCode}" download="billet-${client.id}.png" style="background: #0fd343b6; color: white; padding: 10px 20px; border-radius: 8px; margin: 5px; display: inline-block; text-decoration: none;">Télécharger</a>`
+      : "";
+
+    this.element = document.createElement("div");
+    this.element.className = "ticket-view";
+    this.element.style.cssText = `
+                        position: fixed;
+                        top: 50%;
+                        left: 50%;
+                        transform: translate(-50%, -50%);
+                        background: rgba(0, 0, 0, 0.95);
+                        padding: 30px;
+                        border-radius: 15px;
+                        z-index: 10001;
+                        color: white;
+                        text-align: center;
+                        min-width: 300px;
+                        max-width: 90%;
+                        box-shadow: 0 0 50px rgba(255,107,107,0.3);
+                        border: 2px solid #ff6b6b;
+                    `;
+
+    this.element.innerHTML = `
+                        <h3 style="color: #ff6b6b; margin-bottom: 10px;">🎫 ${title}</h3>
+                        <p><strong>${this.escape(names)}</strong></p>
+                        <p>${label}</p>
+                        ${when}
+                        ${qrCode}
+                        <p style="font-family: monospace; font-size: 11px; word-break: break-all; color: #ccc;">${this.escape(
+                          ticket.token
+                        )}</p>
+                        <p style="margin: 15px 0;">Présentez ce QR code à l'entrée. Une copie vous a été envoyée par email.</p>
+                        ${download}
+                        <button type="button" class="ticket-close"
+                                style="background: #666; color: white; padding: 10px 20px; border: none; border-radius: 8px; margin: 5px; cursor: pointer; font-size: 14px;">
+                            Fermer
+                        </button>
+                    `;
+
+    this.element.querySelector(".ticket-close").onclick = () => this.close();
+    document.body.appendChild(this.element);
+  }
+
+  close() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  escape(value) {
+    const div = document.createElement("div");
+    div.textContent = value === null || value === undefined ? "" : value;
+    return div.innerHTML;
+  }
+}
+
+// Instance globale
+const ticketView = new TicketView();
+
+window.TicketView = TicketView;
+window.ticketView = ticketView;
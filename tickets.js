@@ -0,0 +1,81 @@
+// tickets.js - Billets signés remis après paiement
+// Contenu du QR code : BLT1.<eventId>.<clientId>.<signature>
+// Signature HMAC-SHA256 tronquée à 128 bits (QR lisible même imprimé petit).
+// La clé est partagée avec l'application de contrôle (rôle door), qui vérifie
+// les billets hors ligne sans interroger le serveur.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { StoreError } = require("./billet-store");
+
+const TICKET_VERSION = "BLT1";
+const SIGNATURE_BYTES = 16;
+
+class TicketSigner {
+  constructor(keyPath) {
+    this.keyPath = keyPath;
+    this.key = null;
+  }
+
+  // Clé générée au premier lancement, conservée hors git (data/)
+  loadKey() {
+    if (this.key) return this.key;
+
+    try {
+      this.key = Buffer.from(
+        fs.readFileSync(this.keyPath, "utf8").trim(),
+        "base64url"
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.key = crypto.randomBytes(32);
+      fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+      fs.writeFileSync(this.keyPath, this.key.toString("base64url"), {
+        mode: 0o600,
+      });
+      console.log("🔑 Clé de signature des billets créée:", this.keyPath);
+    }
+    return this.key;
+  }
+
+  // Clé transmise à l'application de contrôle (base64url, HMAC-SHA256)
+  exportKey() {
+    return this.loadKey().toString("base64url");
+  }
+
+  sign(payload) {
+    return crypto
+      .createHmac("sha256", this.loadKey())
+      .update(payload)
+      .digest()
+      .subarray(0, SIGNATURE_BYTES)
+      .toString("base64url");
+  }
+
+  // Un billet n'existe que pour une inscription payée
+  issue(client) {
+    if (client.paiement !== "Payé") {
+      throw new StoreError("Billet disponible après paiement", 409, "not_paid");
+    }
+    const payload = [TICKET_VERSION, client.eventId || "", client.id].join(".");
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // { eventId, clientId } si la signature est valide, sinon null
+  verify(token) {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 4 || parts[0] !== TICKET_VERSION) return null;
+
+    const expected = Buffer.from(this.sign(parts.slice(0, 3).join(".")));
+    const received = Buffer.from(parts[3]);
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      return null;
+    }
+    return { eventId: parts[1] || null, clientId: parts[2] };
+  }
+}
+
+module.exports = { TicketSigner, TICKET_VERSION };
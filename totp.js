@@ -0,0 +1,127 @@
+// totp.js - Mots de passe à usage unique basés sur le temps (RFC 6238 / RFC 4226)
+// Calcul entièrement local : seule l'horloge du serveur fait foi.
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_CONFIG = {
+  STEP: 30, // secondes
+  DIGITS: 6,
+  WINDOW: 1, // pas de tolérance de part et d'autre (décalage d'horloge)
+  SECRET_BYTES: 20,
+};
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input || "")
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Secret base32 invalide");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(TOTP_CONFIG.SECRET_BYTES));
+}
+
+// HOTP (RFC 4226) : HMAC-SHA1 du compteur, troncature dynamique
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_CONFIG.DIGITS).padStart(
+    TOTP_CONFIG.DIGITS,
+    "0"
+  );
+}
+
+function currentCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_CONFIG.STEP);
+}
+
+function generateCode(secret, time = Date.now()) {
+  return hotp(secret, currentCounter(time));
+}
+
+// Renvoie le compteur accepté, ou null. afterCounter empêche de rejouer un code déjà utilisé.
+function verifyCode(
+  secret,
+  code,
+  { time = Date.now(), afterCounter = -1 } = {}
+) {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(token) || token.length !== TOTP_CONFIG.DIGITS) return null;
+
+  const counter = currentCounter(time);
+  for (
+    let candidate = counter - TOTP_CONFIG.WINDOW;
+    candidate <= counter + TOTP_CONFIG.WINDOW;
+    candidate++
+  ) {
+    if (candidate <= afterCounter) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function otpauthUrl(secret, account, issuer = "Bielleterie") {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_CONFIG.DIGITS),
+    period: String(TOTP_CONFIG.STEP),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  TOTP_CONFIG,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+};
@@ -0,0 +1,89 @@
+// waitlist.js - Liste d'attente affichée quand l'événement est complet (index.html)
+// Monté sur le formulaire marqué dans la page :
+//   <form data-waitlist-form> : champs name, email, phone (facultatif) et type
+//   data-waitlist-message     : confirmation ou erreur après l'envoi
+// Les types proposés sont ceux de l'événement (event-info.js). Quand une place
+// se libère, le serveur envoie par email un lien de réservation limité dans le
+// temps (ticket-form.js, paramètre ?claim=).
+class WaitlistForm {
+  constructor(form) {
+    this.form = form;
+    this.message = form.querySelector("[data-waitlist-message]");
+    this.isSubmitting = false;
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    document.addEventListener("eventinfo:applied", () => this.renderTypes());
+    if (eventInfo.config) this.renderTypes();
+  }
+
+  // Une option par type de billet ; le choix en cours est conservé
+  renderTypes() {
+    const select = this.form.elements.type;
+    const selected = select.value;
+    select.replaceChildren(
+      ...Object.entries(eventInfo.config.ticketTypes).map(
+        ([type, ticketType]) => new Option(ticketType.label, type)
+      )
+    );
+    if (eventInfo.getTicketType(selected)) select.value = selected;
+  }
+
+  async submit() {
+    if (this.isSubmitting) return;
+
+    const { name, email, phone, type } = this.form.elements;
+    if (!name.value.trim() || !email.value.trim()) {
+      this.showMessage("Veuillez indiquer votre nom et votre e-mail", true);
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.form.querySelector("[type=submit]").disabled = true;
+    try {
+      const entry = await billetAPI.joinWaitlist({
+        eventId: eventInfo.getEventId(),
+        type: type.value,
+        name: name.value.trim(),
+        email: email.value.trim(),
+        phone: phone.value.trim(),
+      });
+      console.log("📋 Inscription sur la liste d'attente:", entry.id);
+      this.showMessage(
+        entry.status === "offered"
+          ? "✅ Une place vous a déjà été proposée : consultez vos e-mails."
+          : `✅ Vous êtes sur la liste d'attente (position ${entry.position}). Nous vous écrirons si une place se libère.`
+      );
+      this.form.reset();
+    } catch (error) {
+      console.error("❌ Erreur liste d'attente:", error);
+      this.showMessage(
+        error.status === 400 || error.status === 409
+          ? error.message
+          : "Serveur injoignable. Veuillez réessayer.",
+        true
+      );
+      // Des places se sont libérées entre-temps : la page repasse en vente
+      if (error.code === "not_sold_out") ticketAvailability.refresh();
+    } finally {
+      this.isSubmitting = false;
+      this.form.querySelector("[type=submit]").disabled = false;
+    }
+  }
+
+  showMessage(text, isError = false) {
+    this.message.textContent = text;
+    this.message.style.color = isError ? "#ff6b6b" : "white";
+  }
+}
+
+// Initialisation : formulaire de la page (élément data-waitlist-form)
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.querySelector("[data-waitlist-form]");
+  if (!form) return;
+  window.waitlistForm = new WaitlistForm(form);
+});
+
+window.WaitlistForm = WaitlistForm;